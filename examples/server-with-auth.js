@@ -122,39 +122,29 @@ app.post('/api/rooms/:roomId/join', authenticateUser, (req, res) => {
 
 // Global variable untuk chat utils
 let chatUtils;
+let chatServer;
+
+// Verifier token demo (token disimpan di memory), dipakai REST API dan handshake Socket.IO
+const verifyToken = async (token) => users.get(token) || null;
 
 // Inisialisasi chat server
 (async () => {
   try {
-    const chatServer = await createChatServer(server, {
+    chatServer = await createChatServer(server, {
       enableTyping: true,
       enableReadReceipts: true,
       
       // REST API Configuration - menggunakan built-in REST API
       enableRestApi: process.env.ENABLE_REST_API === 'true' || true, // Default true untuk backend integration
       restApiPrefix: process.env.API_PREFIX || "/api/chat",
-      restApiAuth: process.env.API_AUTH === 'true' || false,
+      restApiAuth: process.env.API_AUTH === 'true' && verifyToken,
       restApiCors: {
         origin: process.env.API_CORS_ORIGIN || "*"
       },
       expressApp: app, // Pass Express app directly
       
-      // Authentication middleware untuk Socket.IO
-      onAuth: (socket, next) => {
-        const token = socket.handshake.auth.token || socket.handshake.query.token;
-        
-        if (!token) {
-          return next(new Error('Authentication required'));
-        }
-        
-        const user = users.get(token);
-        if (!user) {
-          return next(new Error('Invalid token'));
-        }
-        
-        socket.user = user;
-        next();
-      },
+      // Authentication untuk Socket.IO (token dari auth.token / query.token)
+      socketAuth: verifyToken,
       
       // Custom connect handler
       onConnect: (socket, io) => {
@@ -183,7 +173,7 @@ let chatUtils;
         
         // Update user status
         socket.broadcast.emit("user:status_changed", {
-          userId: socket.id,
+          userId: socket.user.id,
           status: 'offline',
           userName: socket.user.name
         });
@@ -193,8 +183,8 @@ let chatUtils;
     chatUtils = chatServer.utils;
     
     // Custom API Routes untuk backend integration (di luar built-in REST API)
-    app.get('/api/chat/users', authenticateUser, (req, res) => {
-      const activeUsers = chatUtils.getActiveUsers();
+    app.get('/api/chat/users', authenticateUser, async (req, res) => {
+      const activeUsers = await chatUtils.getActiveUsers();
       res.json(activeUsers);
     });
     
@@ -252,7 +242,7 @@ let chatUtils;
       res.json({ success: true, message: `Message sent to room: ${roomName}` });
     });
     
-    app.post('/api/chat/users/:userId/message', authenticateUser, (req, res) => {
+    app.post('/api/chat/users/:userId/message', authenticateUser, async (req, res) => {
       const { userId } = req.params;
       const { event, data } = req.body;
       
@@ -261,7 +251,7 @@ let chatUtils;
       }
       
       // Check if target user is online
-      const targetUser = chatUtils.getUser(userId);
+      const targetUser = await chatUtils.getUser(userId);
       if (!targetUser) {
         return res.status(404).json({ error: 'User not found or offline' });
       }
@@ -309,8 +299,8 @@ let chatUtils;
     });
     
     // Health check dengan chat stats
-    app.get('/api/health', (req, res) => {
-      const activeUsers = chatUtils.getActiveUsers();
+    app.get('/api/health', async (req, res) => {
+      const activeUsers = await chatUtils.getActiveUsers();
       const rooms = chatUtils.getRooms();
       
       res.json({
@@ -353,11 +343,14 @@ let chatUtils;
 })();
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-  });
+  if (!chatServer) process.exit(0);
+
+  // Kirim server:shutdown ke client, tunggu sebentar, lalu tutup Socket.IO dan Redis
+  await chatServer.close({ drainTimeout: 5000 });
+  // HTTP server milik aplikasi, ditutup sendiri
+  server.close(() => console.log('Process terminated'));
 });
 
 module.exports = { app, server };
@@ -22,12 +22,14 @@ app.get("/", (_, res) => res.json({
 
 // Global variable untuk chat utils
 let chatUtils;
+let chatServer;
 
 // Inisialisasi chat server
 (async () => {
   try {
     
-    const chatServer = await createChatServer(server, {
+    chatServer = await createChatServer(server, {
+      backend: process.env.CHAT_BACKEND || "redis",
       redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
       enableTyping: true,
       enableReadReceipts: true,
@@ -105,9 +107,12 @@ let chatUtils;
 })();
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
-  });
+  if (!chatServer) process.exit(0);
+
+  // Kirim server:shutdown ke client, tunggu sebentar, lalu tutup Socket.IO dan Redis
+  await chatServer.close({ drainTimeout: 5000 });
+  // HTTP server milik aplikasi, ditutup sendiri
+  server.close(() => console.log('Process terminated'));
 });
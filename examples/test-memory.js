@@ -0,0 +1,46 @@
+/**
+ * Test fitur tanpa Redis: setiap file di examples/tests adalah satu area (permissions, threads,
+ * moderation, ...) dan setiap test menjalankan server sendiri di proses ini dengan backend "memory".
+ * Jalankan dengan: node examples/test-memory.js [area...]
+ *   contoh: node examples/test-memory.js moderation threads
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const dir = path.join(__dirname, 'tests');
+const only = process.argv.slice(2);
+
+const areas = fs.readdirSync(dir)
+  .filter((file) => file.endsWith('.js') && file !== 'helpers.js')
+  .map((file) => path.basename(file, '.js'))
+  .filter((area) => only.length === 0 || only.includes(area))
+  .sort();
+
+async function main() {
+  const tests = [];
+  for (const area of areas) {
+    require(path.join(dir, area))((name, fn) => tests.push({ area, name, fn }));
+  }
+
+  let failed = 0;
+  for (const { area, name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✅ [${area}] ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ [${area}] ${name}`);
+      console.error(`   ${error.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(`${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error('❌ Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+/**
+ * Attachment: URL download bertanda tangan, batas ukuran upload, dan upload -> download.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const { Readable } = require('stream');
+const { withChat } = require('./helpers');
+const { signDownload, verifyDownload } = require('../../lib/attachments');
+
+// Storage di memori (custom storage: put / get / remove)
+const memoryStorage = () => {
+  const files = new Map();
+  return {
+    files,
+    async put(key, data) { files.set(key, data); },
+    async get(key) { return files.has(key) ? Readable.from([files.get(key)]) : null; },
+    async remove(key) { files.delete(key); }
+  };
+};
+
+// Upload chunked (tanpa Content-Length) sebanyak `total` byte; error tulis diabaikan karena
+// server boleh menutup koneksi setelah 413
+const streamUpload = (url, token, total) => new Promise((resolve, reject) => {
+  const req = http.request(`${url}/api/attachments?room=lobby&name=big.txt`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain', Authorization: `Bearer ${token}` }
+  }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, connection: res.headers.connection, body: JSON.parse(body) }));
+  });
+  req.on('error', () => {});
+  setTimeout(() => reject(new Error('No upload response')), 2000).unref();
+
+  const chunk = Buffer.alloc(16 * 1024, 'x');
+  let sent = 0;
+  const write = () => {
+    while (sent < total) {
+      sent += chunk.length;
+      if (!req.write(chunk)) return req.once('drain', write);
+    }
+    req.end();
+  };
+  write();
+});
+
+module.exports = (test) => {
+  test('download signatures check the id, variant and expiry', () => {
+    const expires = Date.now() + 60000;
+    const { signature } = signDownload('secret', 'att-1', 'original', expires);
+
+    assert.strictEqual(verifyDownload('secret', 'att-1', 'original', String(expires), signature), true);
+    assert.strictEqual(verifyDownload('other', 'att-1', 'original', expires, signature), false);
+    assert.strictEqual(verifyDownload('secret', 'att-2', 'original', expires, signature), false);
+    assert.strictEqual(verifyDownload('secret', 'att-1', 'thumbnail', expires, signature), false);
+    assert.strictEqual(verifyDownload('secret', 'att-1', 'original', expires + 1, signature), false);
+    assert.strictEqual(verifyDownload('secret', 'att-1', 'original', expires, undefined), false);
+
+    const past = Date.now() - 1;
+    assert.strictEqual(verifyDownload('secret', 'att-1', 'original', past, signDownload('secret', 'att-1', 'original', past).signature), false);
+  });
+
+  test('uploads are sent, signed and downloaded', () => withChat({
+    attachments: { storage: memoryStorage(), secret: 'attachment-secret' }
+  }, async ({ utils, api }) => {
+    await utils.createRoom({ name: 'secret', isPrivate: true, owner: 'alice', members: ['alice'] });
+
+    const upload = await api('/api/attachments?room=secret&name=notes.txt', 'token-alice', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'hello file'
+    });
+    const { attachment } = await upload.json();
+    assert.strictEqual(attachment.size, 10);
+
+    const outsider = await api(`/api/attachments/${attachment.id}/url`, 'token-bob');
+    assert.strictEqual(outsider.status, 404);
+
+    const { url } = await (await api(`/api/attachments/${attachment.id}/url`, 'token-alice')).json();
+    const download = await api(url);
+    assert.strictEqual(download.status, 200);
+    assert.strictEqual(await download.text(), 'hello file');
+
+    const tampered = await api(url.replace(/signature=[^&]+/, 'signature=forged'));
+    assert.strictEqual(tampered.status, 403);
+    assert.strictEqual((await tampered.json()).code, 'invalid_signature');
+  }));
+
+  test('oversized uploads get 413 and the request stops being read', () => withChat({
+    attachments: { storage: memoryStorage(), maxSize: 64 * 1024 }
+  }, async ({ server, url, api }) => {
+    const declared = await api('/api/attachments?room=lobby&name=big.txt', 'token-alice', {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: Buffer.alloc(65 * 1024, 'x')
+    });
+    assert.strictEqual(declared.status, 413);
+    assert.strictEqual((await declared.json()).code, 'file_too_large');
+
+    const requests = [];
+    server.on('request', (req) => requests.push(req));
+    const streamed = await streamUpload(url, 'token-alice', 1024 * 1024);
+    assert.strictEqual(streamed.status, 413);
+    assert.strictEqual(streamed.connection, 'close');
+    assert.strictEqual(streamed.body.maxSize, 64 * 1024);
+
+    const [upload] = requests;
+    assert.strictEqual(upload.listenerCount('data'), 0);
+    assert.strictEqual(upload.readableFlowing, false);
+  }));
+};
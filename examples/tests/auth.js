@@ -0,0 +1,118 @@
+/**
+ * Verifikasi token: JWT (signature, algoritma, exp/nbf, iss/aud, subject) dan error handshake.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { nextEvent, withChat } = require('./helpers');
+const { createTokenVerifier, createSocketAuth } = require('../..');
+
+const SECRET = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+const encode = (value) => Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+
+// JWT HS* dengan header / payload apa adanya (payload boleh string mentah untuk token rusak)
+const signHs = (payload, { secret = SECRET, alg = 'HS256' } = {}) => {
+  const input = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+  const hash = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }[alg];
+  return `${input}.${crypto.createHmac(hash, secret).update(input).digest('base64url')}`;
+};
+
+// Verifier harus menolak dengan kode ChatError tertentu
+const rejects = async (verify, token, code, message) => {
+  await assert.rejects(verify(token), (error) => {
+    assert.strictEqual(error.code, code);
+    if (message) assert.strictEqual(error.message, message);
+    return true;
+  });
+};
+
+module.exports = (test) => {
+  test('a valid HS256 token resolves to the user from sub', async () => {
+    const verify = createTokenVerifier({ secret: SECRET });
+    const user = await verify(signHs({ sub: 42, name: 'Alice', exp: now() + 60 }));
+    assert.strictEqual(user.id, '42');
+    assert.strictEqual(user.name, 'Alice');
+  });
+
+  test('a bad signature is rejected', async () => {
+    const verify = createTokenVerifier({ secret: SECRET });
+    await rejects(verify, signHs({ sub: 'alice' }, { secret: 'other-secret' }), 'invalid_token', 'Invalid token signature');
+
+    // Payload diganti, signature lama
+    const [header, payload, signature] = signHs({ sub: 'alice' }).split('.');
+    await rejects(verify, `${header}.${encode({ sub: 'admin' })}.${signature}`, 'invalid_token', 'Invalid token signature');
+    await rejects(verify, `${header}.${payload}`, 'invalid_token', 'Malformed token');
+  });
+
+  test('alg "none" and HS tokens against a publicKey config are rejected', async () => {
+    const { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const pem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'alice' })}.`;
+    await rejects(createTokenVerifier({ secret: SECRET }), unsigned, 'invalid_token', 'Token algorithm not allowed');
+
+    // Algorithm confusion: public key dipakai sebagai secret HMAC
+    const confused = signHs({ sub: 'alice' }, { secret: pem });
+    await rejects(createTokenVerifier({ publicKey: pem }), confused, 'invalid_token', 'Token algorithm not allowed');
+    await rejects(createTokenVerifier({ publicKey: pem, algorithms: ['HS256', 'RS256'] }), confused, 'invalid_token', 'Token algorithm not allowed');
+  });
+
+  test('exp and nbf are enforced, with clockTolerance', async () => {
+    const strict = createTokenVerifier({ secret: SECRET });
+    const tolerant = createTokenVerifier({ secret: SECRET, clockTolerance: 30 });
+
+    const expired = signHs({ sub: 'alice', exp: now() - 10 });
+    await rejects(strict, expired, 'token_expired');
+    assert.strictEqual((await tolerant(expired)).id, 'alice');
+    await rejects(tolerant, signHs({ sub: 'alice', exp: now() - 60 }), 'token_expired');
+
+    const early = signHs({ sub: 'alice', nbf: now() + 10 });
+    await rejects(strict, early, 'invalid_token', 'Token is not active yet');
+    assert.strictEqual((await tolerant(early)).id, 'alice');
+  });
+
+  test('issuer and audience must match the config', async () => {
+    const verify = createTokenVerifier({ secret: SECRET, issuer: 'auth.example.com', audience: ['chat', 'api'] });
+
+    assert.strictEqual((await verify(signHs({ sub: 'alice', iss: 'auth.example.com', aud: ['web', 'chat'] }))).id, 'alice');
+    await rejects(verify, signHs({ sub: 'alice', iss: 'evil.example.com', aud: 'chat' }), 'invalid_token', 'Token issuer not accepted');
+    await rejects(verify, signHs({ sub: 'alice', iss: 'auth.example.com', aud: 'web' }), 'invalid_token', 'Token audience not accepted');
+    await rejects(verify, signHs({ sub: 'alice', iss: 'auth.example.com' }), 'invalid_token', 'Token audience not accepted');
+  });
+
+  test('tokens without a subject or with a non-object payload are rejected', async () => {
+    const verify = createTokenVerifier({ secret: SECRET });
+    await rejects(verify, signHs({ name: 'nobody' }), 'invalid_token', 'Token has no subject');
+
+    for (const payload of ['null', '"alice"', '42', '[1]']) {
+      await rejects(verify, signHs(payload), 'invalid_token', 'Malformed token');
+    }
+
+    const mapped = createTokenVerifier({ secret: SECRET, mapClaims: (claims) => ({ name: claims.name }) });
+    await rejects(mapped, signHs({ sub: 'alice', name: 'Alice' }), 'invalid_token', 'Token has no subject');
+  });
+
+  test('handshake errors only expose ChatError messages', () => withChat({
+    socketAuth: async (token) => {
+      if (token === 'crash') throw new Error('connect ECONNREFUSED 10.0.0.5:5432');
+      return null;
+    }
+  }, async ({ open }) => {
+    const crashed = await nextEvent(open('crash'), 'connect_error');
+    assert.strictEqual(crashed.message, 'Invalid token');
+    assert.strictEqual(crashed.data.code, 'invalid_token');
+
+    const unknown = await nextEvent(open('unknown'), 'connect_error');
+    assert.strictEqual(unknown.data.code, 'invalid_token');
+
+    const missing = await nextEvent(open(undefined), 'connect_error');
+    assert.strictEqual(missing.data.code, 'token_required');
+
+    // createSocketAuth dengan verifier mentah (tanpa createTokenVerifier)
+    const middleware = createSocketAuth(async () => { throw new Error('connect ECONNREFUSED 10.0.0.5:5432'); });
+    const error = await new Promise((resolve) => middleware({ handshake: { auth: { token: 'x' } } }, resolve));
+    assert.strictEqual(error.message, 'Invalid token');
+    assert.strictEqual(error.data.code, 'invalid_token');
+  }));
+};
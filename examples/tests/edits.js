@@ -0,0 +1,55 @@
+/**
+ * Edit dan hapus pesan: hanya penulis (atau moderator untuk hapus), history edit, soft delete.
+ */
+
+const assert = require('assert');
+const { request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('authors can edit their messages and the edit history is kept', () => withChat({}, async ({ connect }) => {
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    for (const socket of [alice, bob]) {
+      socket.emit('join', 'lobby');
+      await nextEvent(socket, 'room:joined');
+    }
+    const { message } = await request(alice, 'message', { room: 'lobby', text: 'helo' });
+
+    const denied = await request(bob, 'message:edit', { messageId: message.id, text: 'hacked' });
+    assert.strictEqual(denied.error.code, 'forbidden');
+
+    const edited = nextEvent(bob, 'message:edited');
+    const result = await request(alice, 'message:edit', { messageId: message.id, text: 'hello' });
+    assert.strictEqual(result.message.text, 'hello');
+    assert.strictEqual((await edited).text, 'hello');
+
+    await request(alice, 'message:edit', { messageId: message.id, text: 'hello!' });
+    const { text, edits } = await request(bob, 'message:edits', { messageId: message.id });
+    assert.strictEqual(text, 'hello!');
+    assert.deepStrictEqual(edits.map((edit) => edit.text), ['helo', 'hello']);
+  }));
+
+  test('deleted messages keep their place in history without content', () => withChat({}, async ({ utils, connect }) => {
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    const mod = await connect('token-mod');
+    alice.emit('join', 'lobby');
+    await nextEvent(alice, 'room:joined');
+    const { message } = await request(alice, 'message', { room: 'lobby', text: 'oops' });
+    const { message: spam } = await request(bob, 'message', { room: 'lobby', text: 'spam' });
+
+    assert.strictEqual((await request(bob, 'message:delete', { messageId: message.id })).error.code, 'forbidden');
+
+    const deleted = nextEvent(alice, 'message:deleted');
+    assert.deepStrictEqual(await request(alice, 'message:delete', { messageId: message.id }), { ok: true, messageId: message.id });
+    assert.strictEqual((await deleted).deletedBy, 'alice');
+    assert.strictEqual((await request(mod, 'message:delete', { messageId: spam.id })).ok, true);
+
+    const { messages } = await utils.getRoomHistory('lobby');
+    assert.deepStrictEqual(messages.map(({ text, deleted: gone }) => ({ text, deleted: gone })), [
+      { text: '', deleted: true },
+      { text: '', deleted: true }
+    ]);
+    assert.strictEqual((await request(alice, 'message:edit', { messageId: message.id, text: 'back' })).error.code, 'message_deleted');
+  }));
+};
@@ -0,0 +1,40 @@
+/**
+ * Health dan readiness: 200 saat sehat, 503 saat node tidak boleh menerima client baru.
+ * Status "degraded" butuh Redis sungguhan, jadi hanya "ok" dan "shutting_down" dicek di sini.
+ */
+
+const assert = require('assert');
+const { nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('/health and /ready answer 200 on a healthy node', () => withChat({}, async ({ utils, api }) => {
+    const health = await api('/api/health');
+    assert.strictEqual(health.status, 200);
+    const body = await health.json();
+    assert.strictEqual(body.status, 'OK');
+    assert.strictEqual(body.node.backend, 'memory');
+    assert.strictEqual(body.redis, null);
+
+    const ready = await api('/api/ready');
+    assert.strictEqual(ready.status, 200);
+    assert.deepStrictEqual(await ready.json(), { ready: true, status: 'ok' });
+    assert.strictEqual(utils.getHealth().ready, true);
+  }));
+
+  test('/health and /ready answer 503 while shutting down', () => withChat({}, async ({ chatServer, connect, api }) => {
+    // Socket yang belum pindah membuat close() menunggu drainTimeout
+    const alice = await connect('token-alice');
+    const shutdown = nextEvent(alice, 'server:shutdown');
+    const closing = chatServer.close({ drainTimeout: 500 });
+    await shutdown;
+
+    const ready = await api('/api/ready');
+    assert.strictEqual(ready.status, 503);
+    assert.deepStrictEqual(await ready.json(), { ready: false, status: 'shutting_down' });
+
+    const health = await api('/api/health');
+    assert.strictEqual(health.status, 503);
+    assert.strictEqual((await health.json()).status, 'SHUTTING_DOWN');
+    await closing;
+  }));
+};
@@ -0,0 +1,109 @@
+/**
+ * Helper bersama untuk test per area di examples/tests (dijalankan oleh examples/test-memory.js).
+ * Setiap test menjalankan server chat sendiri di proses ini dengan backend "memory".
+ */
+
+const http = require('http');
+const express = require('express');
+const io = require('socket.io-client');
+
+const { createChatServer } = require('../..');
+
+// User per token (restApiAuth dan socketAuth memakai verifier yang sama)
+const USERS = {
+  'token-alice': { id: 'alice', name: 'Alice' },
+  'token-bob': { id: 'bob', name: 'Bob' },
+  'token-carol': { id: 'carol', name: 'Carol' },
+  'token-mod': { id: 'mod', name: 'Moderator', role: 'moderator' }
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Emit dengan ack, gagal kalau server tidak menjawab
+const request = (socket, event, ...args) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`No ack for ${event}`)), 2000);
+  socket.emit(event, ...args, (response) => {
+    clearTimeout(timer);
+    resolve(response);
+  });
+});
+
+// Tunggu event berikutnya, gagal setelah timeout
+const nextEvent = (socket, event, timeout = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+  socket.once(event, (data) => {
+    clearTimeout(timer);
+    resolve(data);
+  });
+});
+
+/**
+ * Jalankan server chat (backend memory) di port acak.
+ * @param {Object} [options] - opsi createChatServer tambahan / pengganti default
+ */
+async function startChat(options = {}) {
+  const app = express();
+  app.use(express.json());
+  const server = http.createServer(app);
+
+  const chatServer = await createChatServer(server, {
+    backend: 'memory',
+    logger: false,
+    enableRestApi: true,
+    expressApp: app,
+    restApiAuth: async (token) => USERS[token] || null,
+    socketAuth: true,
+    rateLimits: false,
+    ...options
+  });
+
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `http://localhost:${server.address().port}`;
+  const sockets = [];
+
+  // Socket terautentikasi, belum user:join
+  const open = (token) => {
+    const socket = io(url, { transports: ['websocket'], forceNew: true, reconnection: false, auth: { token } });
+    sockets.push(socket);
+    return socket;
+  };
+
+  // Socket terautentikasi yang sudah user:join
+  const connect = async (token) => {
+    const socket = open(token);
+    await nextEvent(socket, 'connect');
+    socket.emit('user:join', {});
+    await nextEvent(socket, 'users:list');
+    return socket;
+  };
+
+  const api = (path, token, init = {}) => fetch(`${url}${path}`, {
+    ...init,
+    headers: { ...(token && { Authorization: `Bearer ${token}` }), ...init.headers }
+  });
+
+  const stop = async () => {
+    sockets.forEach((socket) => socket.close());
+    // close() idempotent: aman dipanggil lagi setelah test menutup server sendiri
+    await chatServer.close({ drainTimeout: 0 });
+    if (server.listening) await new Promise((resolve) => server.close(resolve));
+  };
+
+  return { chatServer, utils: chatServer.utils, server, url, open, connect, api, stop };
+}
+
+/**
+ * Jalankan fn dengan server chat baru, server selalu ditutup setelahnya.
+ * @param {Object} options - opsi createChatServer
+ * @param {Function} fn - async (chat) => void
+ */
+async function withChat(options, fn) {
+  const chat = await startChat(options);
+  try {
+    await fn(chat);
+  } finally {
+    await chat.stop();
+  }
+}
+
+module.exports = { USERS, wait, request, nextEvent, startChat, withChat };
@@ -0,0 +1,74 @@
+/**
+ * Pipeline hook pesan dan filter kata bawaan.
+ */
+
+const assert = require('assert');
+const { request, withChat } = require('./helpers');
+const { createMessagePipeline, createWordFilter } = require('../../lib/message-hooks');
+const { createLogger } = require('../../lib/logger');
+
+const context = { event: 'message', source: 'socket', actor: { id: 'alice' }, room: 'lobby' };
+
+module.exports = (test) => {
+  test('the word filter masks, rejects or flags whole words', async () => {
+    const run = (config, text) => createMessagePipeline({ before: createWordFilter(config), logger: createLogger(false) })
+      .runBefore({ id: 'm1', text }, context);
+
+    assert.strictEqual((await run(['darn', 'bad word'], 'Darn, a BAD WORD in Scunthorpe')).text, '****, a ******** in Scunthorpe');
+    assert.strictEqual((await run(['darn'], 'darned')).text, 'darned');
+    assert.strictEqual((await run({ words: ['darn'], wholeWord: false }, 'darned')).text, '****ed');
+    assert.strictEqual((await run({ words: ['darn'], mask: '#' }, 'oh darn')).text, 'oh ####');
+
+    await assert.rejects(run({ words: ['darn'], action: 'reject' }, 'darn'), { code: 'message_rejected', status: 422 });
+
+    const flagged = await run({ words: ['darn'], action: 'flag' }, 'darn it, DARN');
+    assert.strictEqual(flagged.text, 'darn it, DARN');
+    assert.strictEqual(flagged.flagged, true);
+    assert.deepStrictEqual(flagged.flags.map(({ reason, hook }) => ({ reason, hook })), [{ reason: 'Blocked words: darn', hook: 'wordFilter' }]);
+
+    assert.throws(() => createWordFilter({ words: ['x'], action: 'delete' }), /Unknown word filter action/);
+  });
+
+  test('before hooks run in order and after hook errors are only logged', async () => {
+    const logged = [];
+    const pipeline = createMessagePipeline({
+      before: [
+        (message) => { message.text = message.text.trim(); },
+        (message) => ({ ...message, text: message.text.toUpperCase() })
+      ],
+      after: [
+        function broken() { throw new Error('boom'); },
+        (message) => { logged.push(`after ${message.text}`); }
+      ],
+      logger: createLogger({ error: (fields, message) => logged.push(`${message}: ${fields.hook}`) })
+    });
+
+    const message = await pipeline.runBefore({ id: 'm1', text: '  hi  ' }, context);
+    assert.strictEqual(message.text, 'HI');
+    await pipeline.runAfter(message, context);
+    assert.deepStrictEqual(logged, ['afterMessage hook failed: broken', 'after HI']);
+  });
+
+  test('hooks apply to socket messages and edits', () => withChat({
+    wordFilter: ['darn'],
+    beforeMessage: (message, { reject, flag }) => {
+      if (message.text.includes('spam')) reject('No spam');
+      if (message.text.includes('?')) flag('question');
+    }
+  }, async ({ utils, connect }) => {
+    const alice = await connect('token-alice');
+
+    const rejected = await request(alice, 'message', { room: 'lobby', text: 'buy spam' });
+    assert.deepStrictEqual([rejected.error.code, rejected.error.message], ['message_rejected', 'No spam']);
+
+    const { message } = await request(alice, 'message', { room: 'lobby', text: 'darn it' });
+    assert.strictEqual(message.text, '**** it');
+
+    const edited = await request(alice, 'message:edit', { messageId: message.id, text: 'darn?' });
+    assert.strictEqual(edited.message.text, '****?');
+    assert.strictEqual(edited.message.flagged, true);
+
+    const entries = await utils.getAuditLog({ room: 'lobby' });
+    assert.deepStrictEqual(entries.map((entry) => [entry.action, entry.messageId]), [['flag', message.id]]);
+  }));
+};
@@ -0,0 +1,61 @@
+/**
+ * Idempotency key (clientMessageId) dan acknowledgement pengiriman.
+ */
+
+const assert = require('assert');
+const { wait, request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('a retried clientMessageId returns the original message without a second broadcast', () => withChat({}, async ({ utils, connect }) => {
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    for (const socket of [alice, bob]) {
+      socket.emit('join', 'lobby');
+      await nextEvent(socket, 'room:joined');
+    }
+
+    const received = [];
+    bob.on('message', (message) => { if (message.user.id === 'alice') received.push(message.id); });
+
+    const first = await request(alice, 'message', { room: 'lobby', text: 'hi', clientMessageId: 'c-1' });
+    const retry = await request(alice, 'message', { room: 'lobby', text: 'hi', clientMessageId: 'c-1' });
+    assert.strictEqual(first.duplicate, false);
+    assert.strictEqual(retry.duplicate, true);
+    assert.strictEqual(retry.message.id, first.message.id);
+
+    const other = await request(bob, 'message', { room: 'lobby', text: 'hi', clientMessageId: 'c-1' });
+    assert.notStrictEqual(other.message.id, first.message.id);
+
+    await wait(50);
+    assert.deepStrictEqual(received, [first.message.id]);
+    assert.strictEqual((await utils.getRoomHistory('lobby')).messages.length, 2);
+  }));
+
+  test('private retries are deduplicated too', () => withChat({}, async ({ connect }) => {
+    const alice = await connect('token-alice');
+    await connect('token-bob');
+
+    const first = await request(alice, 'message:private', { toUserId: 'bob', text: 'hi', clientMessageId: 'p-1' });
+    const retry = await request(alice, 'message:private', { toUserId: 'bob', text: 'hi', clientMessageId: 'p-1' });
+    assert.strictEqual(retry.duplicate, true);
+    assert.strictEqual(retry.message.id, first.message.id);
+  }));
+
+  test('message:delivered notifies the author once per recipient', () => withChat({}, async ({ connect }) => {
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    const { message } = await request(alice, 'message:private', { toUserId: 'bob', text: 'hi' });
+
+    const delivered = [];
+    alice.on('message:delivered', (data) => delivered.push(data));
+    bob.emit('message:delivered', { messageId: message.id });
+    bob.emit('message:delivered', { messageId: message.id });
+    await wait(100);
+    assert.deepStrictEqual(delivered.map(({ messageId, userId }) => ({ messageId, userId })), [{ messageId: message.id, userId: 'bob' }]);
+
+    // Pengirim sendiri bukan penerima
+    const error = nextEvent(alice, 'error');
+    alice.emit('message:delivered', { messageId: message.id });
+    assert.strictEqual((await error).code, 'not_found');
+  }));
+};
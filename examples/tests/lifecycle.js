@@ -0,0 +1,52 @@
+/**
+ * Lifecycle: close({ drainTimeout }) memberi tahu socket, menolak koneksi baru, menunggu hook
+ * afterMessage lalu menutup server chat tanpa menutup HTTP server aplikasi.
+ */
+
+const assert = require('assert');
+const { wait, request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('close({ drainTimeout }) notifies sockets, refuses new ones and closes', () => withChat({}, async ({ chatServer, utils, open, connect }) => {
+    const alice = await connect('token-alice');
+    const shutdown = nextEvent(alice, 'server:shutdown');
+    const disconnected = nextEvent(alice, 'disconnect');
+    const closed = new Promise((resolve) => chatServer.once('closed', resolve));
+    const closing = chatServer.close({ drainTimeout: 300 });
+
+    assert.strictEqual((await shutdown).drainTimeout, 300);
+    assert.strictEqual(utils.getHealth().status, 'shutting_down');
+
+    const refused = await nextEvent(open('token-alice'), 'connect_error');
+    assert.strictEqual(refused.data?.code, 'server_shutdown');
+
+    await closing;
+    await closed;
+    assert.strictEqual(await disconnected, 'io server disconnect');
+    assert.deepStrictEqual(await utils.getActiveUsers(), []);
+  }));
+
+  test('close() leaves the HTTP server open', () => withChat({}, async ({ chatServer, server, api }) => {
+    await chatServer.close({ drainTimeout: 0 });
+    assert.strictEqual(server.listening, true);
+    assert.strictEqual((await api('/api/health')).status, 503);
+  }));
+
+  test('close() waits for running afterMessage hooks', () => {
+    const finished = [];
+    const afterMessage = async (message) => {
+      await wait(200);
+      finished.push(message.text);
+    };
+
+    return withChat({ afterMessage }, async ({ chatServer, connect }) => {
+      const alice = await connect('token-alice');
+      assert.strictEqual((await request(alice, 'message', { room: 'lobby', text: 'last words' })).ok, true);
+      // Tanpa socket tersisa close() tidak menunggu drain, hanya tulisan / hook yang tertunda
+      alice.close();
+      await wait(50);
+      await chatServer.close({ drainTimeout: 1000 });
+      assert.deepStrictEqual(finished, ['last words']);
+    });
+  });
+};
@@ -0,0 +1,97 @@
+/**
+ * Logger terstruktur: logger JSON bawaan, adapter pino / winston, child logger, dan field
+ * yang ditulis server (nodeId, socketId, userId, room, requestId).
+ */
+
+const assert = require('assert');
+const { nextEvent, withChat } = require('./helpers');
+const { createLogger, createJsonLogger } = require('../../lib/logger');
+
+// Tangkap tulisan ke stdout / stderr selama fn jalan
+const capture = (fn) => {
+  const lines = { stdout: [], stderr: [] };
+  const originals = { stdout: process.stdout.write, stderr: process.stderr.write };
+  for (const name of ['stdout', 'stderr']) {
+    process[name].write = (chunk) => lines[name].push(JSON.parse(chunk)) > 0;
+  }
+  try {
+    fn();
+  } finally {
+    process.stdout.write = originals.stdout;
+    process.stderr.write = originals.stderr;
+  }
+  return lines;
+};
+
+// Logger gaya pino: (fields, message), dicatat di array
+const recorder = () => {
+  const entries = [];
+  const logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map((level) =>
+    [level, (fields, msg) => entries.push({ level, msg, ...fields })]));
+  return { logger, entries };
+};
+
+module.exports = (test) => {
+  test('the JSON logger filters by level and splits stdout / stderr', () => {
+    const { stdout, stderr } = capture(() => {
+      const log = createLogger(undefined, { level: 'info' });
+      log.debug('hidden');
+      log.info('started', { port: 3000, room: null });
+      log.error('failed', { error: 'boom' });
+    });
+
+    assert.deepStrictEqual(stdout.map(({ level, msg, port }) => ({ level, msg, port })),
+      [{ level: 'info', msg: 'started', port: 3000 }]);
+    assert.ok(!('room' in stdout[0]));
+    assert.strictEqual(stderr[0].error, 'boom');
+    assert.ok(!Number.isNaN(Date.parse(stderr[0].time)));
+
+    assert.throws(() => createJsonLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+    assert.deepStrictEqual(capture(() => createLogger(false).error('nothing')), { stdout: [], stderr: [] });
+  });
+
+  test('pino-style and winston-style loggers get their own argument order', () => {
+    const { logger, entries } = recorder();
+    createLogger(logger).child({ nodeId: 'n1' }).warn('slow', { duration: 5 });
+    assert.deepStrictEqual(entries, [{ level: 'warn', msg: 'slow', nodeId: 'n1', duration: 5 }]);
+
+    const calls = [];
+    const winston = { transports: [], info: (message, meta) => calls.push([message, meta]) };
+    createLogger(winston).info('hello', { userId: 'alice' });
+    assert.deepStrictEqual(calls, [['hello', { userId: 'alice' }]]);
+  });
+
+  test('child bindings given as a function are read when the log is written', () => {
+    const { logger, entries } = recorder();
+    const user = { id: null };
+    const log = createLogger(logger).child({ nodeId: 'n1' }).child(() => ({ userId: user.id }));
+
+    log.info('before');
+    user.id = 'alice';
+    log.info('after', { room: 'lobby' });
+    assert.deepStrictEqual(entries, [
+      { level: 'info', msg: 'before', nodeId: 'n1' },
+      { level: 'info', msg: 'after', nodeId: 'n1', userId: 'alice', room: 'lobby' }
+    ]);
+  });
+
+  test('server logs carry nodeId, socket and request fields', () => {
+    const { logger, entries } = recorder();
+    return withChat({ logger }, async ({ chatServer, connect, api }) => {
+      const alice = await connect('token-alice');
+      alice.emit('join', 'lobby');
+      await nextEvent(alice, 'room:joined');
+
+      const joined = entries.find((entry) => entry.msg === 'User joined room');
+      assert.strictEqual(joined.room, 'lobby');
+      assert.strictEqual(joined.userId, 'alice');
+      assert.strictEqual(joined.socketId, alice.id);
+      assert.strictEqual(joined.nodeId, chatServer.utils.getHealth().nodeId);
+
+      const response = await api('/api/rooms', 'token-alice', { headers: { 'X-Request-Id': 'req-42' } });
+      assert.strictEqual(response.headers.get('x-request-id'), 'req-42');
+      const request = entries.find((entry) => entry.msg === 'REST request');
+      assert.deepStrictEqual([request.requestId, request.method, request.path, request.status], ['req-42', 'GET', '/api/rooms', 200]);
+    });
+  });
+};
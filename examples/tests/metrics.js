@@ -0,0 +1,21 @@
+/**
+ * Metrik Prometheus: label room dibatasi ke room terdaftar.
+ */
+
+const assert = require('assert');
+const { withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('unregistered rooms share the "other" metrics label', () => withChat({ metrics: { roomLabels: true } }, async ({ utils }) => {
+    await utils.createRoom({ name: 'lobby' });
+    await utils.sendMessage({ room: 'lobby', text: 'x' });
+    await utils.sendMessage({ room: 'made-up-1', text: 'x' });
+    await utils.sendMessage({ room: 'made-up-2', text: 'x' });
+
+    const { values } = utils.getMetrics().find((metric) => metric.name === 'chat_messages_total');
+    const rooms = values.map((value) => value.labels.room);
+    assert.ok(rooms.includes('other'));
+    assert.ok(rooms.includes('lobby'));
+    assert.ok(!rooms.some((room) => room.startsWith('made-up')));
+  }));
+};
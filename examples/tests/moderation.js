@@ -0,0 +1,40 @@
+/**
+ * Moderasi: mute per room (dengan audit log) dan ban di namespace.
+ */
+
+const assert = require('assert');
+const { request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('moderators can mute in a room, members cannot', () => withChat({}, async ({ utils, connect }) => {
+    await utils.createRoom({ name: 'lobby' });
+    const bob = await connect('token-bob');
+    const mod = await connect('token-mod');
+
+    const denied = await request(bob, 'moderation:mute', { userId: 'alice', room: 'lobby' });
+    assert.strictEqual(denied.error.code, 'forbidden');
+
+    const muted = await request(mod, 'moderation:mute', { userId: 'bob', room: 'lobby', duration: 60000 });
+    assert.strictEqual(muted.ok, true);
+
+    const blocked = await request(bob, 'message', { room: 'lobby', text: 'hi' });
+    assert.strictEqual(blocked.error.code, 'muted');
+    assert.strictEqual((await request(bob, 'message', { room: 'elsewhere', text: 'hi' })).ok, true);
+
+    assert.strictEqual((await request(mod, 'moderation:unmute', { userId: 'bob', room: 'lobby' })).removed, true);
+    assert.strictEqual((await request(bob, 'message', { room: 'lobby', text: 'hi' })).ok, true);
+
+    const { entries } = await request(mod, 'moderation:audit', { room: 'lobby' });
+    assert.deepStrictEqual(entries.map((entry) => entry.action).slice(0, 2), ['unmute', 'mute']);
+  }));
+
+  test('a namespace ban disconnects the user and refuses reconnects', () => withChat({}, async ({ utils, open, connect }) => {
+    const bob = await connect('token-bob');
+    const kicked = nextEvent(bob, 'disconnect');
+    await utils.banUser({ userId: 'bob', reason: 'spam' });
+    await kicked;
+
+    const error = await nextEvent(open('token-bob'), 'connect_error');
+    assert.strictEqual(error.data.code, 'banned');
+  }));
+};
@@ -0,0 +1,25 @@
+/**
+ * Offline queue pesan private: diantrekan saat penerima offline, dikirim saat user:join.
+ */
+
+const assert = require('assert');
+const { request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('private messages to offline users are queued and delivered on join', () => withChat({}, async ({ utils, open, connect }) => {
+    const alice = await connect('token-alice');
+    const sent = await request(alice, 'message:private', { toUserId: 'carol', text: 'while you were away' });
+    assert.strictEqual(sent.status, 'queued');
+    assert.strictEqual(await utils.getQueuedMessageCount('carol'), 1);
+
+    const statusUpdate = nextEvent(alice, 'message:status');
+    const carol = open('token-carol');
+    await nextEvent(carol, 'connect');
+    const delivered = nextEvent(carol, 'message:private');
+    carol.emit('user:join', {});
+
+    assert.strictEqual((await delivered).text, 'while you were away');
+    assert.strictEqual((await statusUpdate).status, 'delivered');
+    assert.strictEqual(await utils.getQueuedMessageCount('carol'), 0);
+  }));
+};
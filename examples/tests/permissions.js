@@ -0,0 +1,63 @@
+/**
+ * Akses room private lewat REST dan socket (room:read).
+ */
+
+const assert = require('assert');
+const { wait, request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  const setup = async ({ utils, connect }) => {
+    await utils.createRoom({ name: 'secret', isPrivate: true, owner: 'alice', members: ['alice'] });
+    await utils.sendMessage({ room: 'secret', text: 'hidden' });
+    return { alice: await connect('token-alice'), bob: await connect('token-bob') };
+  };
+
+  test('private room history is only readable by members over REST', () => withChat({}, async (chat) => {
+    await setup(chat);
+
+    const member = await chat.api('/api/rooms/secret/messages', 'token-alice');
+    assert.strictEqual(member.status, 200);
+    assert.deepStrictEqual((await member.json()).messages.map((message) => message.text), ['hidden']);
+
+    const outsider = await chat.api('/api/rooms/secret/messages', 'token-bob');
+    assert.strictEqual(outsider.status, 403);
+    assert.strictEqual((await outsider.json()).code, 'forbidden');
+  }));
+
+  test('private room is closed to non-members over the socket', () => withChat({}, async (chat) => {
+    const { alice, bob } = await setup(chat);
+
+    const joined = nextEvent(bob, 'error');
+    bob.emit('join', 'secret');
+    assert.strictEqual((await joined).code, 'forbidden');
+
+    const history = await request(bob, 'history:fetch', { room: 'secret' });
+    assert.strictEqual(history.ok, false);
+    assert.strictEqual(history.error.code, 'forbidden');
+
+    alice.emit('join', 'secret');
+    await nextEvent(alice, 'room:joined');
+    const page = await request(alice, 'history:fetch', { room: 'secret' });
+    assert.strictEqual(page.ok, true);
+    assert.strictEqual(page.messages.length, 1);
+  }));
+
+  test('non-members cannot send read receipts into a private room', () => withChat({}, async (chat) => {
+    const { alice, bob } = await setup(chat);
+    alice.emit('join', 'secret');
+    await nextEvent(alice, 'room:joined');
+
+    const { message } = await chat.utils.sendMessage({ room: 'secret', text: 'after join' });
+    let leaked = null;
+    alice.once('message:read', (data) => { leaked = data; });
+
+    const result = await request(bob, 'message:read', { messageId: message.id, room: 'secret' });
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(result.error.code, 'forbidden');
+    await wait(50);
+    assert.strictEqual(leaked, null);
+
+    const own = await request(alice, 'message:read', { messageId: message.id, room: 'secret' });
+    assert.deepStrictEqual(own, { ok: true, messageIds: [message.id] });
+  }));
+};
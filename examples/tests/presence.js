@@ -0,0 +1,43 @@
+/**
+ * Presence: koneksi per user dan update yang di-merge (bukan menimpa seluruh data user).
+ */
+
+const assert = require('assert');
+const { createRedisPresence, createMemoryPresence } = require('../../lib/presence');
+const { createLogger } = require('../../lib/logger');
+
+module.exports = (test) => {
+  test('memory presence counts connections and merges updates', async () => {
+    const presence = createMemoryPresence();
+    assert.strictEqual((await presence.add('s1', { id: 'alice', name: 'Alice' })).first, true);
+    assert.strictEqual((await presence.add('s2', { id: 'alice', name: 'Alice' })).first, false);
+
+    await Promise.all([presence.update('alice', { status: 'away' }), presence.update('alice', { avatar: 'a.png' })]);
+    assert.deepStrictEqual(await presence.get('alice'), { id: 'alice', name: 'Alice', status: 'away', avatar: 'a.png' });
+    assert.strictEqual(await presence.update('nobody', { status: 'away' }), null);
+
+    assert.strictEqual((await presence.remove('s1')).last, false);
+    assert.strictEqual((await presence.remove('s2')).last, true);
+    assert.deepStrictEqual(await presence.list(), []);
+  });
+
+  test('redis presence sends only the patch to the merge script', async () => {
+    // Client palsu: hanya mencatat eval dan menjawab seperti UPDATE_SCRIPT
+    const calls = [];
+    const stored = { alice: { id: 'alice', name: 'Alice', status: 'online' } };
+    const client = {
+      eval: async (script, { arguments: [userId, patch] }) => {
+        calls.push(JSON.parse(patch));
+        if (!stored[userId]) return null;
+        stored[userId] = { ...stored[userId], ...JSON.parse(patch) };
+        return JSON.stringify(stored[userId]);
+      }
+    };
+    const presence = createRedisPresence(client, { logger: createLogger(false) });
+
+    await Promise.all([presence.update('alice', { status: 'away' }), presence.update('alice', { avatar: 'a.png' })]);
+    assert.deepStrictEqual(calls, [{ status: 'away' }, { avatar: 'a.png' }]);
+    assert.deepStrictEqual(stored.alice, { id: 'alice', name: 'Alice', status: 'away', avatar: 'a.png' });
+    assert.strictEqual(await presence.update('bob', { status: 'away' }), null);
+  });
+};
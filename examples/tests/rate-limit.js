@@ -0,0 +1,65 @@
+/**
+ * Rate limit token bucket: burst, refill, bucket gabungan, dan validasi config.
+ */
+
+const assert = require('assert');
+const { wait, request, withChat } = require('./helpers');
+const { createMemoryRateLimiter, validateRateLimits } = require('../../lib/rate-limit');
+
+module.exports = (test) => {
+  test('a bucket allows its capacity as a burst, then refills', async () => {
+    const limiter = createMemoryRateLimiter();
+    const bucket = { key: 'message:user:alice', capacity: 3, refillRate: 20 };
+
+    for (let i = 0; i < 3; i++) assert.strictEqual(await limiter.consume([bucket]), 0);
+    const retryAfter = await limiter.consume([bucket]);
+    assert.ok(retryAfter > 0 && retryAfter <= 50, `retryAfter ${retryAfter}`);
+
+    await wait(retryAfter + 10);
+    assert.strictEqual(await limiter.consume([bucket]), 0);
+  });
+
+  test('a token is only taken when every bucket has one', async () => {
+    const limiter = createMemoryRateLimiter();
+    const user = { key: 'message:user:alice', capacity: 5, refillRate: 1 };
+    const room = { key: 'message:room:lobby', capacity: 1, refillRate: 1 };
+
+    assert.strictEqual(await limiter.consume([user, room]), 0);
+    assert.ok(await limiter.consume([user, room]) > 0);
+    // Bucket user tidak berkurang saat bucket room kosong: 4 token tersisa
+    for (let i = 0; i < 4; i++) assert.strictEqual(await limiter.consume([user]), 0);
+    assert.ok(await limiter.consume([user]) > 0);
+  });
+
+  test('invalid capacity or refillRate is rejected at config time', async () => {
+    for (const bucket of [
+      { capacity: 0, refillRate: 1 },
+      { capacity: 5, refillRate: 0 },
+      { capacity: 5, refillRate: -1 },
+      { capacity: Infinity, refillRate: 1 },
+      { capacity: 5, refillRate: NaN },
+      { capacity: '5', refillRate: 1 },
+      { refillRate: 1 }
+    ]) {
+      assert.throws(() => validateRateLimits({ message: { user: bucket } }), /Invalid rate limit "message" \(user\)/);
+    }
+    assert.doesNotThrow(() => validateRateLimits({ message: { room: { capacity: 1, refillRate: 0.1 } }, 'typing:start': false }));
+
+    await assert.rejects(
+      withChat({ rateLimits: { message: { user: { capacity: 10, refillRate: 0 } } } }, async () => {}),
+      /refillRate must be a finite number > 0/
+    );
+  });
+
+  test('limited events get rate_limited with retryAfter', () => withChat({
+    rateLimits: { message: { user: { capacity: 2, refillRate: 0.5 } } }
+  }, async ({ connect }) => {
+    const alice = await connect('token-alice');
+    assert.strictEqual((await request(alice, 'message', { room: 'lobby', text: '1' })).ok, true);
+    assert.strictEqual((await request(alice, 'message', { room: 'lobby', text: '2' })).ok, true);
+
+    const limited = await request(alice, 'message', { room: 'lobby', text: '3' });
+    assert.strictEqual(limited.error.code, 'rate_limited');
+    assert.ok(limited.error.retryAfter > 1000 && limited.error.retryAfter <= 2000);
+  }));
+};
@@ -0,0 +1,49 @@
+/**
+ * Reaksi emoji: delta broadcast, satu reaksi per user per emoji, batas jenis emoji, ringkasan.
+ */
+
+const assert = require('assert');
+const { request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('reactions are toggled per user and broadcast as deltas', () => withChat({}, async ({ utils, connect }) => {
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    for (const socket of [alice, bob]) {
+      socket.emit('join', 'lobby');
+      await nextEvent(socket, 'room:joined');
+    }
+    const { message } = await request(alice, 'message', { room: 'lobby', text: 'ship it' });
+
+    const delta = nextEvent(alice, 'message:reactions');
+    await request(bob, 'message:react', { messageId: message.id, emoji: '👍' });
+    const { emoji, userId, action, count } = await delta;
+    assert.deepStrictEqual({ emoji, userId, action, count }, { emoji: '👍', userId: 'bob', action: 'add', count: 1 });
+
+    // Reaksi yang sama dua kali tidak dihitung dua kali
+    await request(bob, 'message:react', { messageId: message.id, emoji: '👍' });
+    const both = await request(alice, 'message:react', { messageId: message.id, emoji: '👍' });
+    assert.deepStrictEqual(both.reactions, { '👍': ['bob', 'alice'] });
+    await request(alice, 'message:react', { messageId: message.id, emoji: '🎉' });
+
+    const [summary] = (await utils.getRoomHistory('lobby')).messages;
+    assert.deepStrictEqual(summary.reactionSummary, [{ emoji: '👍', count: 2 }, { emoji: '🎉', count: 1 }]);
+
+    const removed = await request(bob, 'message:unreact', { messageId: message.id, emoji: '👍' });
+    assert.deepStrictEqual(removed.reactions, { '👍': ['alice'], '🎉': ['alice'] });
+  }));
+
+  test('the number of different emojis per message is limited', () => withChat({ maxReactionsPerMessage: 2 }, async ({ connect }) => {
+    const alice = await connect('token-alice');
+    const { message } = await request(alice, 'message', { room: 'lobby', text: 'x' });
+
+    await request(alice, 'message:react', { messageId: message.id, emoji: 'a' });
+    await request(alice, 'message:react', { messageId: message.id, emoji: 'b' });
+    const limited = await request(alice, 'message:react', { messageId: message.id, emoji: 'c' });
+    assert.strictEqual(limited.error.code, 'reaction_limit');
+
+    await request(alice, 'message:delete', { messageId: message.id });
+    const gone = await request(alice, 'message:react', { messageId: message.id, emoji: 'a' });
+    assert.strictEqual(gone.error.code, 'message_deleted');
+  }));
+};
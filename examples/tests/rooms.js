@@ -0,0 +1,45 @@
+/**
+ * Room registry: membership lewat create / invite, bukan lewat join.
+ */
+
+const assert = require('assert');
+const { nextEvent, withChat } = require('./helpers');
+
+// join yang gagal kalau server membalas error
+const join = (socket, room) => new Promise((resolve, reject) => {
+  const onError = (error) => reject(error);
+  socket.once('error', onError);
+  nextEvent(socket, 'room:joined').then(resolve, reject).finally(() => socket.off('error', onError));
+  socket.emit('join', room);
+});
+
+module.exports = (test) => {
+  test('joining a public room does not make the user a member', () => withChat({}, async ({ utils, connect }) => {
+    await utils.createRoom({ name: 'lobby', owner: 'alice' });
+    const bob = await connect('token-bob');
+
+    await join(bob, 'lobby');
+    bob.emit('leave', 'lobby');
+    await nextEvent(bob, 'room:left');
+    await join(bob, 'lobby');
+    assert.deepStrictEqual((await utils.getRoomInfo('lobby')).members, ['alice']);
+
+    // Role room butuh membership dari invite
+    await assert.rejects(utils.setRoomRole('lobby', 'bob', 'read-only'), { code: 'not_member' });
+    await utils.inviteToRoom('lobby', 'bob');
+    const updated = await utils.setRoomRole('lobby', 'bob', 'read-only');
+    assert.deepStrictEqual(updated.members, ['alice', 'bob']);
+    assert.strictEqual(updated.roles.bob, 'read-only');
+  }));
+
+  test('private rooms are joined after an invite', () => withChat({}, async ({ utils, connect }) => {
+    await utils.createRoom({ name: 'team', isPrivate: true, owner: 'alice' });
+    const bob = await connect('token-bob');
+
+    await assert.rejects(join(bob, 'team'), { code: 'forbidden' });
+    const invited = nextEvent(bob, 'room:invited');
+    await utils.inviteToRoom('team', 'bob');
+    assert.strictEqual((await invited).room.name, 'team');
+    await join(bob, 'team');
+  }));
+};
@@ -0,0 +1,50 @@
+/**
+ * Validasi payload: schema event, batas ukuran, dan event tanpa payload.
+ */
+
+const assert = require('assert');
+const { request, nextEvent, withChat } = require('./helpers');
+const { eventSchemas, createEventSchemas, validatePayload } = require('../..');
+
+module.exports = (test) => {
+  test('schemas reject unknown fields, missing content and oversized values', () => {
+    assert.strictEqual(validatePayload(eventSchemas.message, { room: 'general', text: 'hi' }), null);
+    assert.deepStrictEqual(validatePayload(eventSchemas.message, { room: 'general', text: '' }),
+      { path: 'text', message: 'text is too short' });
+    assert.strictEqual(validatePayload(eventSchemas.message, { room: 'general' }).message, 'text is required');
+    assert.strictEqual(validatePayload(eventSchemas['user:join'], { role: 'admin' }).path, 'role');
+    assert.strictEqual(validatePayload(eventSchemas.join, 42).message, 'Payload must be string');
+
+    const small = createEventSchemas({ maxTextLength: 5, maxMetaSize: 10 });
+    assert.strictEqual(validatePayload(small.message, { text: 'toolong' }).path, 'text');
+    assert.strictEqual(validatePayload(small.message, { text: 'ok', meta: { big: 'x'.repeat(20) } }).path, 'meta');
+  });
+
+  test('invalid payloads never reach the handler', () => withChat({}, async ({ utils, connect }) => {
+    const alice = await connect('token-alice');
+
+    const result = await request(alice, 'message', { room: 'lobby', text: 'hi', role: 'admin' });
+    assert.deepStrictEqual(result.error, { event: 'message', code: 'invalid_payload', message: 'role is not allowed', path: 'role' });
+
+    const error = nextEvent(alice, 'error');
+    alice.emit('join', { room: 'lobby' });
+    assert.strictEqual((await error).code, 'invalid_payload');
+    assert.strictEqual((await utils.getRoomHistory('lobby')).messages.length, 0);
+  }));
+
+  test('events with only optional fields accept no payload', () => withChat({}, async ({ connect }) => {
+    const mod = await connect('token-mod');
+
+    const history = await request(mod, 'history:fetch');
+    assert.strictEqual(history.ok, true);
+    assert.deepStrictEqual(history.messages, []);
+
+    assert.strictEqual((await request(mod, 'history:fetch', null)).ok, true);
+    assert.strictEqual((await request(mod, 'moderation:state')).ok, true);
+    assert.strictEqual((await request(mod, 'moderation:audit')).ok, true);
+
+    const list = nextEvent(mod, 'conversation:list');
+    mod.emit('conversation:list');
+    assert.deepStrictEqual((await list).conversations, []);
+  }));
+};
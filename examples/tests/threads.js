@@ -0,0 +1,25 @@
+/**
+ * Thread di atas replyTo: follow / unfollow lewat id reply.
+ */
+
+const assert = require('assert');
+const { request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('thread:unfollow with a reply id leaves the root thread', () => withChat({}, async ({ chatServer, connect }) => {
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    alice.emit('join', 'lobby');
+    await nextEvent(alice, 'room:joined');
+    const root = (await request(alice, 'message', { room: 'lobby', text: 'root' })).message;
+    const reply = (await request(alice, 'message', { room: 'lobby', text: 'reply', replyTo: root.id })).message;
+
+    const followed = await request(bob, 'thread:follow', { messageId: reply.id });
+    assert.strictEqual(followed.threadId, root.id);
+
+    const unfollowed = await request(bob, 'thread:unfollow', { messageId: reply.id });
+    assert.deepStrictEqual(unfollowed, { ok: true, threadId: root.id });
+    const followers = await chatServer.io.in(`thread:${root.id}`).fetchSockets();
+    assert.deepStrictEqual(followers.map((socket) => socket.data.userId), ['alice']);
+  }));
+};
@@ -0,0 +1,50 @@
+/**
+ * Read receipt dan unread count per room / private.
+ */
+
+const assert = require('assert');
+const { wait, request, nextEvent, withChat } = require('./helpers');
+
+module.exports = (test) => {
+  test('room unread counts start at the first join and follow message:read', () => withChat({}, async ({ utils, connect }) => {
+    await utils.createRoom({ name: 'lobby' });
+    for (const text of ['one', 'two', 'three']) await utils.sendMessage({ room: 'lobby', text });
+
+    const alice = await connect('token-alice');
+    const bob = await connect('token-bob');
+    for (const socket of [alice, bob]) {
+      socket.emit('join', 'lobby');
+      await nextEvent(socket, 'room:joined');
+    }
+    await wait(50);
+    assert.deepStrictEqual((await utils.getUnreadCounts('alice')).rooms, { lobby: 0 });
+
+    await request(bob, 'message', { room: 'lobby', text: 'four' });
+    const { message: last } = await request(bob, 'message', { room: 'lobby', text: 'five' });
+    assert.deepStrictEqual((await utils.getUnreadCounts('alice')).rooms, { lobby: 2 });
+    assert.deepStrictEqual((await utils.getUnreadCounts('bob')).rooms, { lobby: 0 });
+
+    // Join ulang tidak mereset posisi baca
+    alice.emit('leave', 'lobby');
+    await nextEvent(alice, 'room:left');
+    alice.emit('join', 'lobby');
+    await nextEvent(alice, 'room:joined');
+    await wait(50);
+    assert.deepStrictEqual((await utils.getUnreadCounts('alice')).rooms, { lobby: 2 });
+
+    const read = await request(alice, 'message:read', { messageId: last.id, room: 'lobby' });
+    assert.strictEqual(read.messageIds.length, 2);
+    assert.deepStrictEqual((await utils.getUnreadCounts('alice')).rooms, { lobby: 0 });
+  }));
+
+  test('private unread counts are sent on connect', () => withChat({}, async ({ open, connect }) => {
+    const alice = await connect('token-alice');
+    await request(alice, 'message:private', { toUserId: 'bob', text: 'hi' });
+    await request(alice, 'message:private', { toUserId: 'bob', text: 'there' });
+
+    // socketAuth: user sudah dikenal saat handshake, unread:counts dikirim tanpa menunggu user:join
+    const counts = await nextEvent(open('token-bob'), 'unread:counts');
+    assert.deepStrictEqual(counts.private, { alice: 2 });
+    assert.deepStrictEqual((await nextEvent(open('token-alice'), 'unread:counts')).private, { bob: 0 });
+  }));
+};
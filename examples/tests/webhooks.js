@@ -0,0 +1,100 @@
+/**
+ * Webhook keluar: signature HMAC, retry dengan backoff, dead-letter, dan event dari server chat.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { wait, withChat } = require('./helpers');
+const { createWebhookDispatcher, createMemoryWebhookStore, signWebhook } = require('../../lib/webhooks');
+const { createLogger } = require('../../lib/logger');
+
+const SECRET = 'whsec-0123456789abcdef';
+
+// fetch palsu: status dari `statuses` berurutan (terakhir diulang), request dicatat
+const fakeFetch = (statuses) => {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, ...init });
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    if (status instanceof Error) throw status;
+    return { ok: status >= 200 && status < 300, status };
+  };
+  return { fetch, requests };
+};
+
+const setup = async (statuses, options = {}) => {
+  const store = createMemoryWebhookStore();
+  await store.create({ id: 'wh-1', url: 'https://backend.example.com/hook', events: ['message.created'], secret: SECRET, createdAt: 1 });
+  const { fetch, requests } = fakeFetch(statuses);
+  const dispatcher = createWebhookDispatcher({ store, fetch, retryDelay: 10, logger: createLogger(false), ...options });
+  return { store, dispatcher, requests };
+};
+
+// Tunggu sampai kondisi terpenuhi (retry berjalan lewat timer)
+const until = async (condition, timeout = 1000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for webhook retries');
+    await wait(10);
+  }
+};
+
+module.exports = (test) => {
+  test('deliveries are signed with HMAC-SHA256 over timestamp and body', async () => {
+    const { dispatcher, requests } = await setup([200]);
+    await dispatcher.dispatch('message.created', { text: 'hi' });
+    await dispatcher.dispatch('user.joined', { userId: 'alice' });
+
+    assert.strictEqual(requests.length, 1);
+    const [{ headers, body }] = requests;
+    const expected = crypto.createHmac('sha256', SECRET).update(`${headers['X-Chat-Timestamp']}.${body}`).digest('hex');
+    assert.strictEqual(headers['X-Chat-Signature'], `sha256=${expected}`);
+    assert.strictEqual(signWebhook(SECRET, headers['X-Chat-Timestamp'], body), headers['X-Chat-Signature']);
+    assert.notStrictEqual(signWebhook('another-secret-123', headers['X-Chat-Timestamp'], body), headers['X-Chat-Signature']);
+
+    const payload = JSON.parse(body);
+    assert.strictEqual(headers['X-Chat-Event'], 'message.created');
+    assert.strictEqual(headers['X-Chat-Delivery'], payload.id);
+    assert.deepStrictEqual(payload.data, { text: 'hi' });
+  });
+
+  test('5xx and network errors are retried, then succeed', async () => {
+    const { store, dispatcher, requests } = await setup([503, new Error('ECONNRESET'), 200]);
+    await dispatcher.dispatch('message.created', { text: 'hi' });
+
+    await until(() => requests.length === 3);
+    const ids = new Set(requests.map((request) => request.headers['X-Chat-Delivery']));
+    assert.strictEqual(ids.size, 1);
+    await wait(50);
+    assert.strictEqual(requests.length, 3);
+    assert.deepStrictEqual(await store.deadLetters(), []);
+  });
+
+  test('permanent failures and exhausted retries go to the dead letters', async () => {
+    const rejected = await setup([400]);
+    await rejected.dispatcher.dispatch('message.created', { text: 'hi' });
+    const [entry] = await rejected.store.deadLetters();
+    assert.deepStrictEqual([entry.attempts, entry.status, entry.error], [1, 400, 'HTTP 400']);
+
+    const failing = await setup([500], { maxAttempts: 3 });
+    await failing.dispatcher.dispatch('message.created', { text: 'hi' });
+    await until(async () => (await failing.store.deadLetters()).length === 1);
+    const [exhausted] = await failing.store.deadLetters();
+    assert.deepStrictEqual([exhausted.attempts, exhausted.status, failing.requests.length], [3, 500, 3]);
+  });
+
+  test('chat events reach registered webhooks', () => {
+    const { fetch, requests } = fakeFetch([200]);
+    return withChat({ webhooks: { fetch } }, async ({ utils }) => {
+      const { secret } = await utils.registerWebhook({ url: 'https://backend.example.com/hook', events: ['message.created'] });
+      await utils.sendMessage({ room: 'lobby', text: 'hello hooks' });
+      await until(() => requests.length === 1);
+
+      const [{ headers, body }] = requests;
+      assert.strictEqual(signWebhook(secret, headers['X-Chat-Timestamp'], body), headers['X-Chat-Signature']);
+      assert.strictEqual(JSON.parse(body).data.text, 'hello hooks');
+
+      await assert.rejects(utils.registerWebhook({ url: 'ftp://example.com', events: ['*'] }), { code: 'invalid_payload' });
+    });
+  });
+};
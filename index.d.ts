@@ -1,3 +1,4 @@
+import { EventEmitter } from "events";
 import { Server as HttpServer } from "http";
 import { Server as SocketIOServer, Socket } from "socket.io";
 
@@ -13,6 +14,7 @@ export interface User {
 
 export interface Message {
   id: string;
+  clientMessageId?: string;
   user: User;
   text: string;
   meta?: any;
@@ -20,25 +22,437 @@ export interface Message {
   room?: string;
   ts: number;
   readBy: string[];
+  deliveredTo: string[];
+  editedAt?: number;
+  editedBy?: string;
+  edits?: MessageEdit[];
+  deleted?: boolean;
+  deletedAt?: number;
+  deletedBy?: string;
+  reactions?: Record<string, string[]>;
+  reactionSummary?: ReactionSummary[];
+  threadId?: string;
+  replyCount?: number;
+  lastReplyAt?: number;
+  lastReplyBy?: string;
+  attachments?: Attachment[];
+  flagged?: boolean;
+  flags?: MessageFlag[];
+}
+
+export interface Attachment {
+  id: string;
+  name: string;
+  mimeType: string;
+  /** Bytes */
+  size: number;
+  /** Images only */
+  width?: number;
+  height?: number;
+  /** Images only: thumbnail size (fits `thumbnailSize`) */
+  thumbnail?: { width: number; height: number };
+}
+
+export interface AttachmentUrl {
+  attachment: Attachment;
+  url: string;
+  /** Only when `createThumbnail` produced a thumbnail file */
+  thumbnailUrl?: string;
+  expiresAt: number;
+}
+
+export interface AttachmentDownload {
+  stream: NodeJS.ReadableStream;
+  mimeType: string;
+  size?: number;
+  contentDisposition: string;
+  expiresAt: number;
+}
+
+export interface AttachmentStorage {
+  put(key: string, data: Buffer, info: { mimeType: string; size: number }): Promise<void>;
+  get(key: string): Promise<NodeJS.ReadableStream | null>;
+  remove(key: string): Promise<void>;
+  /** Direct download URL (e.g. S3 presigned); used instead of the REST download route */
+  getSignedUrl?(
+    key: string,
+    options: { expiresIn: number; mimeType: string; contentDisposition: string }
+  ): Promise<string>;
+}
+
+export interface AttachmentsConfig {
+  storage?: AttachmentStorage;
+  /** Bytes (default: 10 MB) */
+  maxSize?: number;
+  /** MIME types, wildcards like "image/*" allowed */
+  allowedTypes?: string[];
+  maxPerMessage?: number;
+  /** Lifetime of download URLs in ms (default: 3600000) */
+  urlTtl?: number;
+  /** HMAC secret for download URLs, shared by all nodes (default: env ATTACHMENT_SECRET) */
+  secret?: string | Buffer;
+  /** Prepended to download URLs, e.g. "https://chat.example.com" */
+  baseUrl?: string;
+  thumbnailSize?: number;
+  createThumbnail?: (
+    data: Buffer,
+    image: { mimeType: string; width: number; height: number; maxSize: number }
+  ) => Promise<{ data: Buffer; mimeType: string; width: number; height: number } | null>;
+}
+
+export interface MessageFlag {
+  reason: string | null;
+  hook: string;
+  ts: number;
+}
+
+export interface MessageHookContext {
+  event: "message" | "message:private" | "message:edit";
+  source: "socket" | "api";
+  actor: MessageActor;
+  room: string | null;
+  /** Private messages: the other member of a 1:1 conversation, null in group conversations */
+  toUserId?: string | null;
+  /** Private messages: target conversation */
+  conversation?: Conversation;
+  /** Flags added by earlier hooks in this run */
+  flags: MessageFlag[];
+  /** Reject the message (throws a `message_rejected` error) */
+  reject: (reason?: string) => never;
+  /** Flag the message for review; it is still delivered */
+  flag: (reason?: string) => void;
+}
+
+/** May mutate the message or return a replacement */
+export type BeforeMessageHook = (
+  message: any,
+  context: MessageHookContext
+) => void | object | Promise<void | object>;
+
+export type AfterMessageHook = (
+  message: Message | PrivateMessage,
+  context: Omit<MessageHookContext, "flags" | "reject" | "flag">
+) => void | Promise<void>;
+
+export interface WordFilterConfig {
+  words: string[];
+  action?: "mask" | "reject" | "flag";
+  mask?: string;
+  wholeWord?: boolean;
+}
+
+export interface ThreadUpdate {
+  threadId: string;
+  room?: string;
+  replyCount: number;
+  lastReplyAt: number;
+  lastReplyBy: string;
+  reply: Message;
+}
+
+export interface ThreadPage extends HistoryPage {
+  threadId: string;
+  root: Message;
+}
+
+export interface ReactionSummary {
+  emoji: string;
+  count: number;
+}
+
+export interface ReactionDelta {
+  messageId: string;
+  room?: string;
+  emoji: string;
+  userId: string;
+  action: 'add' | 'remove';
+  count: number;
+}
+
+export interface MessageEdit {
+  text: string;
+  meta?: any;
+  ts: number;
+  by: string;
+}
+
+export interface MessageDeleted {
+  messageId: string;
+  room?: string;
+  deletedBy: string;
+  ts: number;
+}
+
+export type GlobalRole = "admin" | "moderator" | "member" | "guest";
+export type RoomRole = "owner" | "moderator" | "member" | "read-only";
+
+export type PermissionAction =
+  | "room:create"
+  | "room:join"
+  | "room:read"
+  | "room:write"
+  | "room:update"
+  | "room:delete"
+  | "room:invite"
+  | "room:kick"
+  | "room:transfer"
+  | "room:roles"
+  | "room:moderate"
+  | "message:read"
+  | "message:edit"
+  | "message:delete"
+  | "message:private"
+  | "user:read"
+  | "server:read"
+  | "server:broadcast"
+  | "server:moderate"
+  | "server:webhooks";
+
+export type PermissionResource =
+  | { type: "room"; name: string | null; room: Room | null }
+  | {
+      type: "message";
+      /** null when checking access to an attachment */
+      message: Message | PrivateMessage | null;
+      attachment?: Attachment;
+      authorId?: string;
+      participants?: string[];
+      room: Room | null;
+    }
+  | { type: "user"; userId: string }
+  | { type: "conversation"; conversation: Conversation; participants: string[] }
+  | { type: "server" };
+
+export interface MessageActor {
+  id: string;
+  role: GlobalRole;
+  [key: string]: any;
 }
 
 export interface PrivateMessage {
   id: string;
+  clientMessageId?: string;
   from: User;
-  to: string;
+  /** Other member of a 1:1 conversation, null in group conversations */
+  to: string | null;
+  conversationId: string;
+  /** Group conversations: all members */
+  members?: string[];
   text: string;
   meta?: any;
   ts: number;
   type: 'private';
+  readBy?: string[];
+  deliveredTo: string[];
+  editedAt?: number;
+  editedBy?: string;
+  edits?: MessageEdit[];
+  deleted?: boolean;
+  deletedAt?: number;
+  deletedBy?: string;
+  attachments?: Attachment[];
+  flagged?: boolean;
+  flags?: MessageFlag[];
+  /** Set when the message was delivered from the offline queue */
+  queuedAt?: number;
+}
+
+export interface ChatError {
+  event: string;
+  code: string;
+  message: string;
+  /** `muted` / `banned`: room of the restriction (null = whole namespace) */
+  room?: string | null;
+  /** `muted` / `banned`: when the restriction ends (null = permanent) */
+  until?: number | null;
+  /** `invalid_payload`: offending field */
+  path?: string;
+  /** `slow_mode` / `rate_limited`: ms until the next message is allowed */
+  retryAfter?: number;
+  /** `message_rejected`: reason given by the hook */
+  reason?: string;
+  /** `message_rejected`: name of the rejecting hook */
+  hook?: string;
+  /** `invalid_attachment`: unknown attachment id */
+  attachmentId?: string;
+}
+
+export interface Mute {
+  userId: string;
+  room: string | null;
+  until: number | null;
+  reason: string | null;
+  by: string;
+  ts: number;
+}
+
+export interface Ban {
+  id: string;
+  userId: string | null;
+  ip: string | null;
+  room: string | null;
+  until: number | null;
+  reason: string | null;
+  by: string;
+  ts: number;
+}
+
+export interface ModerationState {
+  mutes: Mute[];
+  bans: Ban[];
+  slowMode: { [room: string]: number };
+}
+
+export interface ModerationAuditEntry {
+  id: string;
+  action: "mute" | "unmute" | "kick" | "ban" | "unban" | "slowmode" | "flag";
+  messageId?: string;
+  reasons?: (string | null)[];
+  userId?: string | null;
+  ip?: string | null;
+  room: string | null;
+  duration?: number | null;
+  interval?: number;
+  reason?: string | null;
+  by: string;
+  ts: number;
+}
+
+export type MessageAck<T = Message> =
+  | { ok: true; message: T; duplicate: boolean; status?: PrivateMessageStatus }
+  | { ok: false; error: ChatError };
+
+/** `delivered`: recipient online, `queued`: kept until the recipient's next `user:join` */
+export type PrivateMessageStatus = "delivered" | "queued";
+
+/** `message:status`, sent to the author when a queued private message is delivered */
+export interface MessageStatusUpdate {
+  messageId: string;
+  conversationId: string;
+  toUserId: string;
+  status: PrivateMessageStatus;
+  ts: number;
+}
+
+export interface Conversation {
+  /** Derived from the members: "dm_<hash>" (2 members) or "group_<hash>" */
+  id: string;
+  type: "direct" | "group";
+  /** Sorted member user ids */
+  members: string[];
+  /** Group conversations only */
+  name: string | null;
+  createdBy: string;
+  createdAt: number;
+}
+
+export interface ConversationSummary extends Conversation {
+  lastMessage: PrivateMessage | null;
+  lastActivityAt: number;
+  unread: number;
+}
+
+export interface ConversationPage extends HistoryPage<PrivateMessage> {
+  conversationId: string;
+  conversation: Conversation;
+}
+
+export type WebhookEvent =
+  | "message.created"
+  | "message.edited"
+  | "message.deleted"
+  | "user.joined"
+  | "user.left"
+  | "room.created"
+  | "moderation.action";
+
+export interface WebhooksConfig {
+  /** Attempts per delivery before it goes to the dead-letter list (default: 5) */
+  maxAttempts?: number;
+  /** First retry delay in ms, doubled per attempt (default: 1000) */
+  retryDelay?: number;
+  /** Max retry delay in ms (default: 60000) */
+  maxRetryDelay?: number;
+  /** Request timeout in ms (default: 10000) */
+  timeout?: number;
+  /** Dead-letter entries kept in Redis (default: 1000) */
+  maxDeadLetters?: number;
+  /** fetch implementation (default: global fetch) */
+  fetch?: typeof fetch;
+}
+
+export interface WebhookSubscription {
+  id: string;
+  url: string;
+  events: (WebhookEvent | "*")[];
+  /** Only returned by registerWebhook */
+  secret?: string;
+  description: string;
+  createdBy: string;
+  createdAt: number;
+}
+
+/** Body of every webhook POST */
+export interface WebhookPayload<T = any> {
+  id: string;
+  event: WebhookEvent | "webhook.test";
+  ts: number;
+  data: T;
+}
+
+export interface WebhookDelivery {
+  ok: boolean;
+  status?: number;
+  error: string | null;
+  duration: number;
+}
+
+export interface WebhookDeadLetter {
+  id: string;
+  webhookId: string;
+  url: string;
+  event: WebhookEvent;
+  payload: WebhookPayload;
+  attempts: number;
+  status: number | null;
+  error: string;
+  failedAt: number;
+}
+
+export interface OfflineQueueConfig {
+  /** Max queued messages per user, oldest dropped first (default: 100) */
+  maxMessages?: number;
+  /** Max age of a queued message in ms (default: 7 days) */
+  retention?: number;
+}
+
+export interface DeliveryReceipt {
+  messageId: string;
+  userId: string;
+  userName: string;
+  room?: string;
+  ts: number;
 }
 
 export interface Room {
   name: string;
   id: string;
+  owner: string;
   createdBy: string;
   isPrivate: boolean;
+  description: string;
   createdAt: number;
+  updatedAt: number;
   members: string[];
+  roles: { [userId: string]: Exclude<RoomRole, "owner" | "member"> };
+}
+
+export interface CreateRoomData {
+  name: string;
+  isPrivate?: boolean;
+  description?: string;
+  members?: string[];
+  owner?: string;
 }
 
 export interface TypingData {
@@ -50,14 +464,100 @@ export interface TypingData {
 
 export interface ReadReceipt {
   messageId: string;
+  messageIds: string[];
   userId: string;
   userName: string;
   room?: string;
+  withUserId?: string;
+  conversationId?: string;
   ts: number;
 }
 
+export interface UnreadCounts {
+  rooms: Record<string, number>;
+  /** 1:1 conversations by the other user's id */
+  private: Record<string, number>;
+  conversations: Record<string, number>;
+}
+
+export interface HistoryQuery {
+  before?: string;
+  after?: string;
+  limit?: number;
+}
+
+export interface HistoryPage<T = Message> {
+  messages: T[];
+  hasMore: boolean;
+}
+
+/** Ack of `history:fetch`; without an ack the page (without `ok`) is emitted as `history:messages` */
+export type HistoryAck =
+  | ({ ok: true; room?: string; withUserId?: string; conversationId?: string } & HistoryPage<Message | PrivateMessage>)
+  | { ok: false; error: ChatError };
+
+export interface MessageStore {
+  save(scope: string, message: Message | PrivateMessage): Promise<Message | PrivateMessage>;
+  get(id: string): Promise<Message | PrivateMessage | null>;
+  list(scope: string, query?: HistoryQuery): Promise<HistoryPage<Message | PrivateMessage>>;
+  update(
+    id: string,
+    updater: (message: Message | PrivateMessage) => Message | PrivateMessage | null
+  ): Promise<Message | PrivateMessage | null>;
+  countAfter(scope: string, id?: string | null): Promise<number | null>;
+  link(scope: string, message: Message | PrivateMessage): Promise<void>;
+}
+
+export interface JwtAuthConfig {
+  secret?: string | Buffer;
+  publicKey?: string | Buffer | import("crypto").KeyObject;
+  issuer?: string | string[];
+  audience?: string | string[];
+  algorithms?: string[];
+  /** Seconds allowed for `exp` / `nbf` clock skew */
+  clockTolerance?: number;
+  mapClaims?: (claims: { [claim: string]: any }) => User | { id: string; [key: string]: any };
+}
+
+export type VerifyToken = (token: string) => Promise<{ id: string; [key: string]: any } | null>;
+
+export type TokenAuthConfig = boolean | JwtAuthConfig | { verifyToken: VerifyToken } | VerifyToken;
+
+export interface RateLimitBucket {
+  /** Max burst size, finite and >= 1 */
+  capacity: number;
+  /** Tokens added per second, finite and > 0 */
+  refillRate: number;
+}
+
+export interface RateLimitRule {
+  user?: RateLimitBucket;
+  room?: RateLimitBucket;
+}
+
+export interface RateLimitAutoMute {
+  /** Rate-limited events before muting (default: 5) */
+  violations?: number;
+  /** Window for counting violations in ms (default: 60000) */
+  window?: number;
+  /** Mute duration in ms (default: 300000) */
+  duration?: number;
+}
+
 export interface ChatServerOptions {
+  /** Where the adapter and chat state live: "redis" (cluster) or "memory" (one process, no Redis) (default: "redis") */
+  backend?: "redis" | "memory";
   redisUrl?: string;
+  /** Exponential backoff for Redis reconnects in ms (default: { minDelay: 100, maxDelay: 10000 }) */
+  redisReconnect?: { minDelay?: number; maxDelay?: number };
+  /** While Redis is disconnected: reject with `unavailable` / 503, or queue until it is back (default: "fail") */
+  redisUnavailable?: "fail" | "buffer";
+  /** Prometheus metrics (default: true) */
+  metrics?: boolean | MetricsConfig;
+  /** pino / winston style logger, false for no output at all (default: built-in JSON logger) */
+  logger?: Logger | false;
+  /** Minimum level of the built-in JSON logger (default: process.env.LOG_LEVEL || "info") */
+  logLevel?: LogLevel | "silent";
   cors?: object;
   namespace?: string;
   onAuth?: (socket: Socket, next: (err?: Error) => void) => void;
@@ -66,25 +566,166 @@ export interface ChatServerOptions {
   enableTyping?: boolean;
   enableReadReceipts?: boolean;
   typingTimeout?: number;
+  typingThrottle?: number;
   enableRestApi?: boolean;
   restApiPrefix?: string;
-  restApiAuth?: boolean;
+  restApiAuth?: TokenAuthConfig;
+  socketAuth?: TokenAuthConfig;
   restApiCors?: {
     origin?: string;
     methods?: string[];
     headers?: string[];
   };
   expressApp?: any; // Express app instance
+  messageStore?: MessageStore;
+  historyLimit?: number;
+  nodeId?: string;
+  presenceTtl?: number;
+  idempotencyTtl?: number;
+  maxReactionsPerMessage?: number;
+  authorize?: (
+    user: MessageActor,
+    action: PermissionAction,
+    resource: PermissionResource
+  ) => boolean | undefined | Promise<boolean | undefined>;
+  defaultRole?: GlobalRole;
+  rateLimits?: { [event: string]: RateLimitRule | false } | false;
+  rateLimitAutoMute?: RateLimitAutoMute;
+  maxTextLength?: number;
+  maxMetaSize?: number;
+  beforeMessage?: BeforeMessageHook | BeforeMessageHook[];
+  afterMessage?: AfterMessageHook | AfterMessageHook[];
+  wordFilter?: string[] | WordFilterConfig;
+  attachments?: boolean | AttachmentsConfig;
+  maxConversationMembers?: number;
+  offlineQueue?: OfflineQueueConfig | false;
+  webhooks?: boolean | WebhooksConfig;
 }
 
 export interface ChatServerUtils {
-  getActiveUsers: () => User[];
-  getUser: (socketId: string) => User | undefined;
+  getActiveUsers: () => Promise<User[]>;
+  getUser: (userId: string) => Promise<User | null>;
   sendToRoom: (room: string, event: string, data: any) => void;
   sendToUser: (userId: string, event: string, data: any) => void;
   broadcast: (event: string, data: any) => void;
   getRooms: () => Map<string, Set<string>>;
+  getHealth: () => HealthStatus;
+  getMetrics(options?: { format?: "json" }): MetricSnapshot[];
+  getMetrics(options: { format: "prometheus" }): string;
   getUsersInRoom: (room: string) => string[];
+  getTypingUsers: (room?: string) => Promise<TypingData[]>;
+  getRoomHistory: (room: string, query?: HistoryQuery, actor?: MessageActor) => Promise<HistoryPage>;
+  getUnreadCounts: (userId: string) => Promise<UnreadCounts>;
+  getQueuedMessageCount: (userId: string) => Promise<number>;
+  /** The backend is not added as a member unless an actor is passed */
+  openConversation: (
+    data: { members: string[]; name?: string },
+    actor?: MessageActor
+  ) => Promise<{ conversation: Conversation; created: boolean }>;
+  getConversation: (conversationId: string, actor?: MessageActor) => Promise<Conversation>;
+  getConversationHistory: (
+    conversationId: string,
+    query?: HistoryQuery,
+    actor?: MessageActor
+  ) => Promise<ConversationPage>;
+  listConversations: (userId: string, query?: { limit?: number }) => Promise<ConversationSummary[]>;
+  editMessage: (
+    messageId: string,
+    patch: { text: string; meta?: any },
+    actor?: MessageActor
+  ) => Promise<Message | PrivateMessage>;
+  deleteMessage: (messageId: string, actor?: MessageActor) => Promise<Message | PrivateMessage>;
+  getMessageEdits: (
+    messageId: string,
+    actor?: MessageActor
+  ) => Promise<{ messageId: string; text: string; edits: MessageEdit[] }>;
+  getThread: (messageId: string, query?: HistoryQuery, actor?: MessageActor) => Promise<ThreadPage>;
+  sendMessage: (
+    data: {
+      room?: string | null;
+      text?: string;
+      meta?: any;
+      attachments?: string[];
+      replyTo?: string;
+      clientMessageId?: string;
+    },
+    actor?: MessageActor
+  ) => Promise<{ message: Message; duplicate: boolean }>;
+  sendPrivateMessage: (
+    data: {
+      conversationId?: string;
+      toUserId?: string;
+      text?: string;
+      meta?: any;
+      attachments?: string[];
+      clientMessageId?: string;
+    },
+    actor?: MessageActor
+  ) => Promise<{ message: PrivateMessage; duplicate: boolean; status?: PrivateMessageStatus }>;
+  registerWebhook: (
+    data: { url: string; events: (WebhookEvent | "*")[]; secret?: string; description?: string },
+    actor?: MessageActor
+  ) => Promise<WebhookSubscription>;
+  listWebhooks: (actor?: MessageActor) => Promise<WebhookSubscription[]>;
+  deleteWebhook: (webhookId: string, actor?: MessageActor) => Promise<WebhookSubscription>;
+  testWebhook: (webhookId: string, actor?: MessageActor) => Promise<WebhookDelivery & { webhookId: string }>;
+  getWebhookDeadLetters: (query?: { limit?: number }, actor?: MessageActor) => Promise<WebhookDeadLetter[]>;
+  uploadAttachment: (
+    file: {
+      data: Buffer;
+      name?: string;
+      mimeType: string;
+      room?: string | null;
+      conversationId?: string | null;
+      toUserId?: string | null;
+    },
+    actor?: MessageActor
+  ) => Promise<Attachment>;
+  getAttachmentUrl: (attachmentId: string, actor?: MessageActor) => Promise<AttachmentUrl>;
+  openAttachment: (
+    attachmentId: string,
+    query: { expires: string | number; signature: string; variant?: "original" | "thumbnail" }
+  ) => Promise<AttachmentDownload>;
+  listRooms: (actor?: MessageActor) => Promise<Room[]>;
+  getRoomInfo: (name: string, actor?: MessageActor) => Promise<Room | null>;
+  createRoom: (data: CreateRoomData, actor?: MessageActor) => Promise<Room>;
+  updateRoom: (
+    name: string,
+    patch: { description?: string; isPrivate?: boolean },
+    actor?: MessageActor
+  ) => Promise<Room>;
+  deleteRoom: (name: string, actor?: MessageActor) => Promise<Room>;
+  inviteToRoom: (name: string, userId: string, actor?: MessageActor) => Promise<Room>;
+  kickFromRoom: (name: string, userId: string, actor?: MessageActor) => Promise<Room>;
+  transferRoomOwnership: (name: string, userId: string, actor?: MessageActor) => Promise<Room>;
+  setRoomRole: (
+    name: string,
+    userId: string,
+    role: Exclude<RoomRole, "owner">,
+    actor?: MessageActor
+  ) => Promise<Room>;
+  muteUser: (
+    options: { userId: string; room?: string | null; duration?: number; reason?: string },
+    actor?: MessageActor
+  ) => Promise<Mute>;
+  unmuteUser: (options: { userId: string; room?: string | null }, actor?: MessageActor) => Promise<boolean>;
+  kickUser: (
+    options: { userId: string; room?: string | null; reason?: string },
+    actor?: MessageActor
+  ) => Promise<ModerationAuditEntry>;
+  banUser: (
+    options: { userId?: string; ip?: string; room?: string | null; duration?: number; reason?: string },
+    actor?: MessageActor
+  ) => Promise<Ban>;
+  unbanUser: (
+    options: { userId?: string; ip?: string; room?: string | null },
+    actor?: MessageActor
+  ) => Promise<boolean>;
+  setSlowMode: (room: string, interval: number, actor?: MessageActor) => Promise<{ room: string; interval: number }>;
+  getModerationState: (query?: { room?: string }, actor?: MessageActor) => Promise<ModerationState>;
+  getAuditLog: (query?: { room?: string; limit?: number }, actor?: MessageActor) => Promise<ModerationAuditEntry[]>;
+  can: (user: MessageActor, action: PermissionAction, resource?: PermissionResource) => Promise<boolean>;
+  actorFor: (user: { id: string | number; role?: string; roles?: string[]; [key: string]: any }) => MessageActor;
 }
 
 export interface RestApiRoutes {
@@ -92,14 +733,160 @@ export interface RestApiRoutes {
   enabled: boolean;
 }
 
-export interface ChatServerResult {
+export type LogLevel = "debug" | "info" | "warn" | "error";
+
+/**
+ * Logger accepted by the `logger` option: pino style `(fields, message)`, or winston
+ * (detected by its `transports` array) `(message, fields)`.
+ */
+export type Logger = {
+  [level in LogLevel]: (...args: any[]) => void;
+};
+
+/** Logger used by the server, available as `socket.logger` and `req.log` */
+export interface ChatLogger {
+  debug(message: string, fields?: Record<string, any>): void;
+  info(message: string, fields?: Record<string, any>): void;
+  warn(message: string, fields?: Record<string, any>): void;
+  error(message: string, fields?: Record<string, any>): void;
+  /** Logger with extra fields, a function is evaluated on every entry */
+  child(fields: Record<string, any> | (() => Record<string, any>)): ChatLogger;
+}
+
+export interface MetricsConfig {
+  /** Label messages with the name of registered rooms, "other" for unregistered ones (default: false) */
+  roomLabels?: boolean;
+}
+
+export interface MetricSnapshot {
+  name: string;
+  help: string;
+  type: "counter" | "gauge" | "histogram";
+  values: Array<{
+    labels: Record<string, string>;
+    /** counter / gauge */
+    value?: number;
+    /** histogram: cumulative count per upper bound (seconds) */
+    buckets?: Record<string, number>;
+    sum?: number;
+    count?: number;
+  }>;
+}
+
+export interface RedisClientHealth {
+  status: "ready" | "reconnecting" | "closed";
+  lastError: { message: string; at: number } | null;
+}
+
+export interface HealthStatus {
+  status: "ok" | "degraded" | "shutting_down";
+  ready: boolean;
+  backend: "redis" | "memory";
+  nodeId: string;
+  /** null with backend "memory" */
+  redis: { pub: RedisClientHealth; sub: RedisClientHealth } | null;
+  adapter: { type: "redis" | "memory"; status: "ok" | "disconnected" };
+}
+
+export interface CloseOptions {
+  /** How long to wait for clients to leave, and for pending writes, in ms (default: 5000) */
+  drainTimeout?: number;
+}
+
+export interface ServerShutdownEvent {
+  nodeId: string;
+  drainTimeout: number;
+  ts: number;
+}
+
+export interface ChatServerResult extends EventEmitter {
   io: SocketIOServer;
-  pubClient: any;
-  subClient: any;
+  /** null with backend "memory" */
+  pubClient: any | null;
+  subClient: any | null;
   utils: ChatServerUtils;
   restApiRoutes: RestApiRoutes | null;
+  /** Graceful shutdown of this node (the HTTP server is left open); calling it again returns the same promise */
+  close(options?: CloseOptions): Promise<void>;
+
+  on(event: "ready", listener: (info: { nodeId: string; backend: "redis" | "memory" }) => void): this;
+  on(event: "closing", listener: (info: { drainTimeout: number }) => void): this;
+  on(event: "closed", listener: () => void): this;
+  on(event: "redis:error", listener: (info: { client: "pub" | "sub"; error: Error }) => void): this;
+  once(event: "ready", listener: (info: { nodeId: string; backend: "redis" | "memory" }) => void): this;
+  once(event: "closing", listener: (info: { drainTimeout: number }) => void): this;
+  once(event: "closed", listener: () => void): this;
+  once(event: "redis:error", listener: (info: { client: "pub" | "sub"; error: Error }) => void): this;
+}
+
+export declare function createRedisMessageStore(
+  client: any,
+  options?: { prefix?: string; maxMessages?: number }
+): MessageStore;
+
+export declare function createMemoryMessageStore(
+  options?: { maxMessages?: number }
+): MessageStore;
+
+export declare function createId(now?: number): string;
+
+/** JSON Schema (subset, plus the non-standard `maxBytes` keyword) */
+export interface PayloadSchema {
+  type?: string | string[];
+  properties?: { [name: string]: PayloadSchema };
+  required?: string[];
+  additionalProperties?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+  enum?: any[];
+  items?: PayloadSchema;
+  minItems?: number;
+  maxItems?: number;
+  anyOf?: PayloadSchema[];
+  allOf?: PayloadSchema[];
+  maxBytes?: number;
+  /** Used by the server when the event is sent without a payload */
+  default?: any;
 }
 
+export declare const eventSchemas: { [event: string]: PayloadSchema };
+
+export declare function createEventSchemas(limits?: {
+  maxTextLength?: number;
+  maxMetaSize?: number;
+  maxAttachments?: number;
+  maxConversationMembers?: number;
+}): { [event: string]: PayloadSchema };
+
+export declare function validatePayload(
+  schema: PayloadSchema,
+  value: any
+): { path: string; message: string } | null;
+
+export declare function createWordFilter(config: string[] | WordFilterConfig): BeforeMessageHook;
+
+/** `X-Chat-Signature` value for a webhook body: "sha256=<hex>" */
+export declare function signWebhook(secret: string, timestamp: number | string, body: string): string;
+
+export declare function createLocalStorage(options?: { directory?: string }): AttachmentStorage;
+
+export declare function createS3Storage(options: {
+  client: any;
+  bucket: string;
+  keyPrefix?: string;
+  signedUrls?: boolean;
+}): AttachmentStorage;
+
+export declare function createTokenVerifier(
+  config: TokenAuthConfig
+): (token: string) => Promise<{ id: string; [key: string]: any }>;
+
+export declare function createSocketAuth(
+  verify: (token: string) => Promise<{ id: string; [key: string]: any }>
+): (socket: Socket, next: (err?: Error) => void) => Promise<void>;
+
 export declare function createChatServer(
   httpServer: HttpServer,
   opts?: ChatServerOptions
@@ -1,13 +1,138 @@
 // index.js
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 const { Server } = require("socket.io");
 const { createAdapter } = require("@socket.io/redis-adapter");
 const { createClient } = require("redis");
+const {
+  createRedisMessageStore,
+  createMemoryMessageStore,
+  roomScope,
+  privateScope,
+  threadScope,
+  conversationScope
+} = require("./lib/message-store");
+const { createRedisPresence, createMemoryPresence, defaultNodeId } = require("./lib/presence");
+const { createRedisTypingStore, createMemoryTypingStore, createTypingTracker } = require("./lib/typing");
+const { createRedisReadState, createMemoryReadState } = require("./lib/read-state");
+const { createRedisOfflineQueue, createMemoryOfflineQueue } = require("./lib/offline-queue");
+const {
+  createRedisConversationStore,
+  createMemoryConversationStore,
+  conversationKeyOf
+} = require("./lib/conversations");
+const {
+  WEBHOOK_EVENTS,
+  createRedisWebhookStore,
+  createMemoryWebhookStore,
+  createWebhookDispatcher,
+  signWebhook
+} = require("./lib/webhooks");
+const { createRedisIdempotency, createMemoryIdempotency } = require("./lib/idempotency");
+const { createId } = require("./lib/ids");
+const { ChatError } = require("./lib/errors");
+const { createRedisRoomRegistry, createMemoryRoomRegistry } = require("./lib/room-registry");
+const { globalRoleOf, isAllowed, ROOM_ROLES } = require("./lib/permissions");
+const { createTokenVerifier, createSocketAuth, bearerToken } = require("./lib/auth");
+const { createRedisModerationStore, createMemoryModerationStore } = require("./lib/moderation");
+const { createRedisRateLimiter, createMemoryRateLimiter, validateRateLimits } = require("./lib/rate-limit");
+const { createEventSchemas, eventSchemas, validatePayload } = require("./lib/schemas");
+const { createMessagePipeline, createWordFilter } = require("./lib/message-hooks");
+const { createLocalStorage, createS3Storage } = require("./lib/attachment-storage");
+const { createChatMetrics, instrumentRedisClient } = require("./lib/metrics");
+const { createLogger } = require("./lib/logger");
+const {
+  createRedisAttachmentStore,
+  createMemoryAttachmentStore,
+  DEFAULT_ALLOWED_TYPES,
+  isAllowedType,
+  detectImage,
+  fitWithin,
+  signDownload,
+  verifyDownload,
+  contentDispositionOf
+} = require("./lib/attachments");
+
+// Room pribadi per user, semua socket/tab milik user yang sama join ke sini
+const userRoom = (userId) => `user:${userId}`;
+
+// Room socket.io untuk follower thread
+const threadRoom = (threadId) => `thread:${threadId}`;
+
+// Prefix room internal, tidak boleh di-join/dibuat langsung oleh client
+const RESERVED_ROOM_PREFIXES = ["user:", "thread:"];
+
+const assertRoomName = (name) => {
+  if (typeof name !== "string" || name.trim() === "" ||
+      RESERVED_ROOM_PREFIXES.some((prefix) => name.startsWith(prefix))) {
+    throw new ChatError("invalid_room", "Invalid room name");
+  }
+};
+
+// Id user level aplikasi (dari onAuth/user:join), fallback ke socket id
+const userIdOf = (socket) => socket.user?.id ?? socket.id;
+
+// Error terstruktur: lewat ack kalau client mengirim callback, kalau tidak lewat event "error"
+const sendError = (socket, ack, event, code, message, details) => {
+  const error = { event, code, message, ...details };
+  if (typeof ack === "function") {
+    ack({ ok: false, error });
+  } else {
+    socket.emit("error", error);
+  }
+};
+
+// ChatError diteruskan apa adanya, error lain (Redis dsb.) dilaporkan sebagai store_failed
+const sendFailure = (socket, ack, event, error) => {
+  if (error instanceof ChatError) {
+    sendError(socket, ack, event, error.code, error.message, error.details);
+    return;
+  }
+  socket.logger.error("Failed to handle socket event", { event, error: error.message });
+  sendError(socket, ack, event, "store_failed", "Failed to process request");
+};
+
+// Actor default untuk utils (backend dipercaya penuh)
+const API_ACTOR = { id: "api", role: "admin" };
+
+// Actor untuk aksi otomatis server (mis. auto-mute karena rate limit)
+const SYSTEM_ACTOR = { id: "system", role: "admin" };
+
+// Token bucket default per event: capacity token, diisi ulang refillRate token/detik
+const DEFAULT_RATE_LIMITS = {
+  message: {
+    user: { capacity: 20, refillRate: 5 },
+    room: { capacity: 100, refillRate: 50 }
+  },
+  "message:private": { user: { capacity: 20, refillRate: 5 } },
+  "typing:start": { user: { capacity: 10, refillRate: 2 } },
+  "room:create": { user: { capacity: 5, refillRate: 0.1 } }
+};
+
+// Penulis pesan room atau private
+const authorOf = (message) => (message.type === "private" ? message.from?.id : message.user?.id);
+
+// Member percakapan sebuah private message: `members` untuk grup, pengirim + `to` untuk 1:1
+const participantsOf = (message) => message.members ?? [message.to, message.from?.id];
+
+// Ringkasan reaksi untuk history: [{ emoji, count }] urut dari yang terbanyak
+const withReactionSummary = (message) => ({
+  ...message,
+  reactionSummary: Object.entries(message.reactions || {})
+    .map(([emoji, userIds]) => ({ emoji, count: userIds.length }))
+    .sort((a, b) => b.count - a.count)
+});
+
+const MAX_EMOJI_LENGTH = 32;
 
 /**
  * Membuat server chat berbasis Socket.IO + Redis Adapter
  * @param {import('http').Server} httpServer - HTTP Server dari Node/Express
  * @param {Object} opts - opsi
+ * @param {"redis"|"memory"} [opts.backend] - tempat adapter dan state chat: "redis" (cluster) atau "memory" (satu proses, tanpa Redis) (default: "redis")
  * @param {string} [opts.redisUrl] - URL Redis (default ambil dari env REDIS_URL)
+ * @param {Object} [opts.redisReconnect] - backoff reconnect Redis { minDelay, maxDelay } dalam ms (default: { minDelay: 100, maxDelay: 10000 })
+ * @param {"fail"|"buffer"} [opts.redisUnavailable] - event socket / request REST selama Redis putus: "fail" ditolak dengan error unavailable (503), "buffer" diantrikan sampai Redis tersambung lagi (default: "fail")
  * @param {Object} [opts.cors] - opsi CORS untuk Socket.IO
  * @param {string} [opts.namespace] - namespace socket.io (default "/")
  * @param {(socket, next) => void} [opts.onAuth] - middleware auth (opsional)
@@ -16,16 +141,44 @@ const { createClient } = require("redis");
  * @param {boolean} [opts.enableTyping] - enable typing indicators (default: true)
  * @param {boolean} [opts.enableReadReceipts] - enable read receipts (default: true)
  * @param {number} [opts.typingTimeout] - timeout untuk typing indicator dalam ms (default: 3000)
+ * @param {number} [opts.typingThrottle] - jarak minimal broadcast typing:start berulang dalam ms (default: 1000)
  * @param {boolean} [opts.enableRestApi] - enable REST API endpoints (default: false)
  * @param {string} [opts.restApiPrefix] - prefix untuk REST API routes (default: "/api")
- * @param {boolean} [opts.restApiAuth] - enable auth untuk REST API (default: false)
+ * @param {boolean|Object|Function} [opts.restApiAuth] - auth REST API: true (JWT dengan env JWT_SECRET), config JWT { secret | publicKey, issuer, audience, algorithms, clockTolerance, mapClaims }, atau async verifyToken(token) => user (default: false)
+ * @param {boolean|Object|Function} [opts.socketAuth] - verifikasi token di handshake Socket.IO: true memakai verifier restApiAuth, atau config sendiri seperti restApiAuth (default: false)
  * @param {Object} [opts.restApiCors] - CORS options untuk REST API
  * @param {Object} [opts.expressApp] - Express app instance (opsional, untuk REST API)
- * @returns {{ io: import('socket.io').Server, pubClient: any, subClient: any, utils: any }}
+ * @param {Object} [opts.messageStore] - custom message store (default: store milik backend)
+ * @param {number} [opts.historyLimit] - maksimal pesan tersimpan per room/percakapan (default: 1000)
+ * @param {string} [opts.nodeId] - id unik node ini di cluster (default: hostname:pid:random)
+ * @param {number} [opts.presenceTtl] - umur heartbeat node sebelum koneksinya dianggap mati, dalam ms (default: 30000)
+ * @param {number} [opts.idempotencyTtl] - berapa lama clientMessageId diingat untuk de-duplikasi, dalam ms (default: 86400000)
+ * @param {number} [opts.maxReactionsPerMessage] - maksimal jenis emoji reaksi per pesan (default: 20)
+ * @param {(user, action: string, resource: Object) => boolean|undefined|Promise<boolean|undefined>} [opts.authorize] - hook permission; boolean menggantikan keputusan default, undefined memakai kebijakan default
+ * @param {string} [opts.defaultRole] - role global untuk user tanpa role dari onAuth (default: "member")
+ * @param {Object|false} [opts.rateLimits] - limit per event { [event]: { user?, room?: { capacity, refillRate } } }, digabung dengan default; false untuk menonaktifkan
+ * @param {number} [opts.maxTextLength] - panjang maksimal teks pesan (default: 4000)
+ * @param {number} [opts.maxMetaSize] - ukuran maksimal `meta` pesan/user dalam byte JSON (default: 4096)
+ * @param {Object} [opts.rateLimitAutoMute] - auto-mute pelanggar berulang { violations, window, duration } (default: nonaktif)
+ * @param {Function|Function[]} [opts.beforeMessage] - hook async (message, context) sebelum pesan disimpan: ubah, context.reject(reason) atau context.flag(reason)
+ * @param {Function|Function[]} [opts.afterMessage] - hook async (message, context) setelah pesan terkirim
+ * @param {string[]|Object} [opts.wordFilter] - filter kata bawaan, hook beforeMessage pertama: daftar kata atau { words, action, mask, wholeWord }
+ * @param {number} [opts.maxConversationMembers] - jumlah maksimal member percakapan private termasuk pembuatnya (default: 10)
+ * @param {Object|false} [opts.offlineQueue] - antrian private message untuk user offline { maxMessages, retention } (default: { maxMessages: 100, retention: 7 hari }); false untuk menonaktifkan
+ * @param {boolean|Object} [opts.webhooks] - webhook keluar: true atau { maxAttempts, retryDelay, maxRetryDelay, timeout, maxDeadLetters, fetch } (default: false)
+ * @param {boolean|Object} [opts.metrics] - metrik Prometheus: true atau { roomLabels } (default: true, roomLabels false); false untuk menonaktifkan
+ * @param {Object|false} [opts.logger] - logger gaya pino / winston (debug/info/warn/error); false untuk tanpa log (default: logger JSON bawaan ke stdout/stderr)
+ * @param {"debug"|"info"|"warn"|"error"|"silent"} [opts.logLevel] - level minimal logger JSON bawaan (default: env LOG_LEVEL atau "info")
+ * @param {boolean|Object} [opts.attachments] - attachment file: true (disk lokal ./uploads) atau { storage, maxSize, allowedTypes, maxPerMessage, urlTtl, secret, baseUrl, thumbnailSize, createThumbnail } (default: false)
+ * @returns {EventEmitter & { io: import('socket.io').Server, pubClient: any, subClient: any, utils: any, close: Function }}
+ *   pubClient/subClient null untuk backend "memory"; event: ready, closing, closed, redis:error
  */
 async function createChatServer(httpServer, opts = {}) {
   const {
+    backend = "redis",
     redisUrl = process.env.REDIS_URL || "redis://127.0.0.1:6379",
+    redisReconnect = {},
+    redisUnavailable = "fail",
     cors = { origin: "*" },
     namespace = "/",
     onAuth,
@@ -34,254 +187,2351 @@ async function createChatServer(httpServer, opts = {}) {
     enableTyping = true,
     enableReadReceipts = true,
     typingTimeout = 3000,
+    typingThrottle = 1000,
     enableRestApi = false,
     restApiPrefix = "/api",
     restApiAuth = false,
+    socketAuth = false,
     restApiCors = { origin: "*" },
     expressApp = null,
+    messageStore: customMessageStore,
+    historyLimit = 1000,
+    nodeId,
+    presenceTtl = 30000,
+    idempotencyTtl = 86400000,
+    maxReactionsPerMessage = 20,
+    authorize,
+    defaultRole = "member",
+    rateLimits = {},
+    rateLimitAutoMute = null,
+    maxTextLength = 4000,
+    maxMetaSize = 4096,
+    beforeMessage,
+    afterMessage,
+    wordFilter = null,
+    attachments = false,
+    webhooks = false,
+    metrics = true,
+    logger,
+    logLevel = process.env.LOG_LEVEL || "info",
+    maxConversationMembers = 10,
+    offlineQueue: offlineQueueOptions = {},
   } = opts;
 
-  const io = new Server(httpServer, { cors });
+  if (backend !== "redis" && backend !== "memory") {
+    throw new Error(`Unknown backend "${backend}", expected "redis" or "memory"`);
+  }
+  if (redisUnavailable !== "fail" && redisUnavailable !== "buffer") {
+    throw new Error(`Unknown redisUnavailable "${redisUnavailable}", expected "fail" or "buffer"`);
+  }
+
+  // Semua log server membawa nodeId; log socket menambah socketId/userId, log REST requestId
+  const resolvedNodeId = nodeId ?? defaultNodeId();
+  const log = createLogger(logger, { level: logLevel }).child({ nodeId: resolvedNodeId });
+
+  const io = new Server(httpServer, { cors });
+
+  // Event lifecycle: ready, closing, closed, redis:error; closePromise terisi setelah close() dipanggil
+  const lifecycle = new EventEmitter();
+  let closePromise = null;
+
+  // Error koneksi Redis diteruskan ke listener redis:error (tanpa listener: dicatat ke logger)
+  const redisErrors = { pub: null, sub: null };
+  const reportRedisError = (client, error) => {
+    redisErrors[client] = { message: error.message, at: Date.now() };
+    if (lifecycle.listenerCount("redis:error") > 0) {
+      lifecycle.emit("redis:error", { client, error });
+    } else {
+      log.error("Redis client error", { client, error: error.message });
+    }
+  };
+
+  // Redis Pub/Sub; backend "memory" memakai adapter bawaan Socket.IO (satu proses)
+  let pubClient = null;
+  let subClient = null;
+  if (backend === "redis") {
+    // Reconnect dengan exponential backoff + jitter; selama putus, command diantrikan oleh client
+    const { minDelay = 100, maxDelay = 10000 } = redisReconnect;
+    const reconnectStrategy = (retries) =>
+      Math.min(minDelay * 2 ** retries, maxDelay) + Math.floor(Math.random() * minDelay);
+
+    pubClient = createClient({ url: redisUrl, socket: { reconnectStrategy } });
+    subClient = pubClient.duplicate();
+    pubClient.on("error", (error) => reportRedisError("pub", error));
+    subClient.on("error", (error) => reportRedisError("sub", error));
+    await pubClient.connect();
+    await subClient.connect();
+
+    io.adapter(createAdapter(pubClient, subClient));
+  }
+
+  // Tulisan (dan hook afterMessage / webhook) yang tidak ditunggu handler, ditunggu selesai
+  // oleh close() sebelum Redis ditutup
+  const pendingWrites = new Set();
+  const trackWrite = (promise) => {
+    pendingWrites.add(promise);
+    const done = () => pendingWrites.delete(promise);
+    promise.then(done, done);
+    return promise;
+  };
+
+  // Tunggu tulisan tertunda selesai, paling lama `timeout` ms
+  const flushWrites = async (timeout) => {
+    const deadline = Date.now() + timeout;
+    while (pendingWrites.size > 0 && Date.now() < deadline) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled([...pendingWrites]),
+        new Promise((resolve) => { timer = setTimeout(resolve, deadline - Date.now()); })
+      ]);
+      clearTimeout(timer);
+    }
+  };
+
+  // Status koneksi dari sisi node-redis: ready, reconnecting (antrian command jalan) atau closed
+  const redisStatusOf = (client) => (client.isReady ? "ready" : client.isOpen ? "reconnecting" : "closed");
+
+  /**
+   * Kesehatan node: "ok", "degraded" (Redis pub/sub putus, pesan antar node tertunda)
+   * atau "shutting_down" (close() sedang berjalan). ready hanya true kalau "ok".
+   */
+  const getHealth = () => {
+    const degraded = Boolean(pubClient) && !(pubClient.isReady && subClient.isReady);
+    const status = closePromise ? "shutting_down" : degraded ? "degraded" : "ok";
+    return {
+      status,
+      ready: status === "ok",
+      backend,
+      nodeId: presence.nodeId,
+      redis: pubClient && {
+        pub: { status: redisStatusOf(pubClient), lastError: redisErrors.pub },
+        sub: { status: redisStatusOf(subClient), lastError: redisErrors.sub }
+      },
+      adapter: {
+        type: pubClient ? "redis" : "memory",
+        status: !subClient || subClient.isReady ? "ok" : "disconnected"
+      }
+    };
+  };
+
+  // Dengan redisUnavailable "fail", operasi yang butuh Redis ditolak selama pubClient putus
+  const rejectsWhileDown = () => redisUnavailable === "fail" && Boolean(pubClient) && !pubClient.isReady;
+
+  // Metrik Prometheus per node (opsional, default aktif)
+  const metricsConfig = metrics === false ? null : { roomLabels: false, ...(metrics === true ? {} : metrics) };
+  const chatMetrics = metricsConfig && createChatMetrics({ connectedSockets: () => nsp.sockets.size });
+  // Nama room dipilih client, jadi hanya room terdaftar yang jadi label; sisanya "other" supaya
+  // jumlah series tetap terbatas
+  const roomLabel = (room, registered) => {
+    if (!metricsConfig?.roomLabels || !room) return "";
+    return registered ? room : "other";
+  };
+
+  // State chat di Redis (dibagi semua node) atau di memori proses ini; round-trip store diukur
+  const storeClient = pubClient && chatMetrics ? instrumentRedisClient(pubClient, chatMetrics.redis) : pubClient;
+  const storeOf = (createRedisStore, createMemoryStore, options = {}) => storeClient
+    ? createRedisStore(storeClient, { prefix: `chat:${namespace}`, ...options })
+    : createMemoryStore(options);
+
+  // History pesan
+  const messageStore = customMessageStore ||
+    storeOf(createRedisMessageStore, createMemoryMessageStore, { maxMessages: historyLimit });
+
+  const nsp = io.of(namespace);
+
+  // Webhook keluar (opsional): subscription dan dead-letter di store backend, dikirim dari node asal event
+  const webhookConfig = webhooks === true ? {} : webhooks || null;
+  const webhookStore = webhookConfig && storeOf(createRedisWebhookStore, createMemoryWebhookStore, {
+    maxDeadLetters: webhookConfig.maxDeadLetters
+  });
+  const webhookDispatcher = webhookConfig && createWebhookDispatcher({
+    ...webhookConfig,
+    store: webhookStore,
+    logger: log
+  });
+
+  // Kirim event ke webhook tanpa menunggu; kegagalan tidak mempengaruhi event chat
+  const emitWebhook = (event, data) => {
+    if (!webhookDispatcher) return;
+    trackWrite(webhookDispatcher.dispatch(event, data)).catch((error) => {
+      log.error("Failed to dispatch webhook", { event, error: error.message });
+    });
+  };
+
+  // Kelola subscription webhook: hanya admin (server:webhooks)
+  const assertCanManageWebhooks = async (actor) => {
+    if (!webhookStore) throw new ChatError("webhooks_disabled", "Webhooks are not enabled", 404);
+    await assertAllowed(actor, "server:webhooks", { type: "server" });
+  };
+
+  // Secret hanya dikembalikan sekali, saat subscription dibuat
+  const publicWebhook = ({ secret, ...subscription }) => subscription;
+
+  const getWebhook = async (webhookId, actor) => {
+    await assertCanManageWebhooks(actor);
+    const subscription = webhookId ? await webhookStore.get(webhookId) : null;
+    if (!subscription) throw new ChatError("not_found", "Webhook not found", 404);
+    return subscription;
+  };
+
+  const registerWebhook = async ({ url, events, secret, description = "" } = {}, actor) => {
+    await assertCanManageWebhooks(actor);
+
+    let target = null;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      target = null;
+    }
+    if (!target || !["http:", "https:"].includes(target.protocol)) {
+      throw new ChatError("invalid_payload", "url must be an http(s) URL", 400, { path: "url" });
+    }
+    if (!Array.isArray(events) || events.length === 0 ||
+        events.some((event) => event !== "*" && !WEBHOOK_EVENTS.includes(event))) {
+      throw new ChatError("invalid_payload", `events must be a list of: *, ${WEBHOOK_EVENTS.join(", ")}`, 400, {
+        path: "events"
+      });
+    }
+    if (secret !== undefined && (typeof secret !== "string" || secret.length < 16)) {
+      throw new ChatError("invalid_payload", "secret must be a string of at least 16 characters", 400, { path: "secret" });
+    }
+
+    const subscription = {
+      id: createId(),
+      url: target.toString(),
+      events: [...new Set(events)],
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+      description: String(description).slice(0, 500),
+      createdBy: actor.id,
+      createdAt: Date.now()
+    };
+    await webhookStore.create(subscription);
+    return subscription;
+  };
+
+  const listWebhooks = async (actor) => {
+    await assertCanManageWebhooks(actor);
+    return (await webhookStore.list()).map(publicWebhook);
+  };
+
+  const deleteWebhook = async (webhookId, actor) => {
+    const subscription = await getWebhook(webhookId, actor);
+    await webhookStore.remove(subscription.id);
+    return publicWebhook(subscription);
+  };
+
+  // Kirim event webhook.test sekali dan laporkan hasilnya (tanpa retry)
+  const testWebhook = async (webhookId, actor) => {
+    const subscription = await getWebhook(webhookId, actor);
+    return { webhookId: subscription.id, ...(await webhookDispatcher.test(subscription)) };
+  };
+
+  const getWebhookDeadLetters = async ({ limit } = {}, actor) => {
+    await assertCanManageWebhooks(actor);
+    return webhookStore.deadLetters({ limit: Math.min(Number(limit) || 50, 1000) });
+  };
+
+  // Presence user di seluruh cluster
+  const presence = storeOf(createRedisPresence, createMemoryPresence, {
+    nodeId: resolvedNodeId,
+    ttl: presenceTtl,
+    logger: log,
+    onExpired: (users) => {
+      users.forEach((user) => {
+        const data = { userId: user.id, userName: user.name, reason: "node timeout" };
+        nsp.emit("user:left", data);
+        emitWebhook("user.left", data);
+      });
+    },
+    onRestored: (users) => {
+      users.forEach((user) => {
+        nsp.emit("user:joined", user);
+        emitWebhook("user.joined", user);
+      });
+    }
+  });
+  presence.start();
+
+  // Broadcast typing ke room (atau global), kecuali ke socket milik user itu sendiri
+  const emitTyping = (event, data) => {
+    const target = data.room ? nsp.to(data.room) : nsp;
+    target.except(userRoom(data.userId)).emit(event, data);
+  };
+
+  const typing = createTypingTracker({
+    store: storeOf(createRedisTypingStore, createMemoryTypingStore),
+    timeout: typingTimeout,
+    throttle: typingThrottle,
+    onExpire: (data) => emitTyping("typing:stop", data),
+    logger: log
+  });
+
+  // Verifier token (JWT / custom) untuk REST API dan handshake Socket.IO
+  const restApiVerifier = restApiAuth ? createTokenVerifier(restApiAuth) : null;
+  const socketVerifier = socketAuth === true
+    ? restApiVerifier || createTokenVerifier(true)
+    : socketAuth ? createTokenVerifier(socketAuth) : null;
+
+  // Selama close(), koneksi baru ditolak supaya client reconnect ke node lain
+  nsp.use((socket, next) => {
+    if (!closePromise) return next();
+    const error = new Error("Server is shutting down");
+    error.data = { code: "server_shutdown" };
+    next(error);
+  });
+
+  // (opsional) auth middleware; onAuth jalan setelah verifikasi token dan bisa melengkapi socket.user
+  if (socketVerifier) nsp.use(createSocketAuth(socketVerifier));
+  if (onAuth) nsp.use(onAuth);
+
+  // Update data presence tanpa menunggu hasil (lastSeen, status)
+  const touchPresence = (userId, patch) => {
+    trackWrite(presence.update(userId, patch)).catch((error) => {
+      log.error("Failed to update presence", { userId, error: error.message });
+    });
+  };
+
+  // De-duplikasi retry pesan berdasarkan clientMessageId
+  const idempotency = storeOf(createRedisIdempotency, createMemoryIdempotency, { ttl: idempotencyTtl });
+
+  /**
+   * Simpan pesan, sekali per clientMessageId per user.
+   * Mengembalikan { message, duplicate }; kalau duplicate, message adalah pesan
+   * yang sudah tersimpan dari kiriman sebelumnya.
+   */
+  const persistMessage = async (userId, scope, message) => {
+    if (!message.clientMessageId) {
+      return { message: await messageStore.save(scope, message), duplicate: false };
+    }
+
+    const key = `${userId}:${message.clientMessageId}`;
+    const existingId = await idempotency.claim(key, message.id);
+    if (existingId) {
+      // Kiriman pertama mungkin masih diproses, balas dengan id-nya saja
+      const existing = await messageStore.get(existingId);
+      return {
+        message: existing || { id: existingId, clientMessageId: message.clientMessageId },
+        duplicate: true
+      };
+    }
+
+    try {
+      return { message: await messageStore.save(scope, message), duplicate: false };
+    } catch (error) {
+      await idempotency.release(key).catch(() => {});
+      throw error;
+    }
+  };
+
+  // Hook pesan: filter kata bawaan jalan pertama, lalu beforeMessage dari opsi
+  const messagePipeline = createMessagePipeline({
+    before: [wordFilter && createWordFilter(wordFilter), ...[].concat(beforeMessage ?? [])],
+    after: afterMessage,
+    logger: log
+  });
+
+  // Pesan yang baru ditandai hook dicatat di audit log moderasi untuk direview
+  const auditFlags = (message, previousFlags = []) => {
+    const flags = (message.flags || []).slice(previousFlags.length);
+    if (flags.length === 0) return;
+
+    trackWrite(auditModeration("flag", {
+      messageId: message.id,
+      userId: authorOf(message),
+      room: message.room ?? null,
+      reasons: flags.map((flag) => flag.reason)
+    }, SYSTEM_ACTOR)).catch((error) => {
+      log.error("Failed to audit flagged message", { messageId: message.id, error: error.message });
+    });
+  };
+
+  // Attachment (opsional): metadata di store backend, file di storage (default disk lokal)
+  const attachmentConfig = attachments ? {
+    maxSize: 10 * 1024 * 1024,
+    allowedTypes: DEFAULT_ALLOWED_TYPES,
+    maxPerMessage: 10,
+    urlTtl: 3600000,
+    secret: process.env.ATTACHMENT_SECRET,
+    baseUrl: "",
+    thumbnailSize: 320,
+    createThumbnail: null,
+    ...(attachments === true ? {} : attachments),
+    storage: attachments.storage || createLocalStorage()
+  } : null;
+
+  if (attachmentConfig && !attachmentConfig.secret) {
+    // Tanpa secret bersama, URL download hanya valid di node yang membuatnya
+    if (pubClient) log.warn("Attachment secret not set (attachments.secret or ATTACHMENT_SECRET), using a random secret for this node");
+    attachmentConfig.secret = crypto.randomBytes(32);
+  }
+
+  const attachmentStore = storeOf(createRedisAttachmentStore, createMemoryAttachmentStore);
+
+  // Room registry (seluruh cluster)
+  const roomRegistry = storeOf(createRedisRoomRegistry, createMemoryRoomRegistry);
+
+  // Event tentang room: room public ke semua user, room private hanya ke member
+  const emitRoomEvent = (room, event, data) => {
+    if (room.isPrivate) {
+      nsp.to(room.members.map(userRoom)).emit(event, data);
+    } else {
+      nsp.emit(event, data);
+    }
+  };
+
+  // Hook authorize (kalau mengembalikan boolean) menang atas kebijakan default
+  const can = async (actor, action, resource = {}) => {
+    const decision = authorize ? await authorize(actor, action, resource) : undefined;
+    return typeof decision === "boolean" ? decision : isAllowed(actor, action, resource);
+  };
+
+  const assertAllowed = async (actor, action, resource) => {
+    if (!(await can(actor, action, resource))) {
+      throw new ChatError("forbidden", `Permission denied: ${action}`, 403);
+    }
+  };
+
+  const roomResource = (name, room) => ({ type: "room", name: name ?? null, room });
+
+  const messageResource = (message, room) => ({
+    type: "message",
+    message,
+    authorId: authorOf(message),
+    participants: message.type === "private" ? participantsOf(message) : undefined,
+    room
+  });
+
+  // Cek action pada room (atau global kalau name kosong); room yang tidak terdaftar dianggap public
+  const assertRoomAccess = async (name, actor, action = "room:join") => {
+    const room = name ? await roomRegistry.get(name) : null;
+    await assertAllowed(actor, action, roomResource(name, room));
+    return room;
+  };
+
+  const getRegisteredRoom = async (name) => {
+    const room = name ? await roomRegistry.get(name) : null;
+    if (!room) throw new ChatError("not_found", "Room not found", 404);
+    return room;
+  };
+
+  // Keluarkan socket yang bukan member dari room (mis. setelah room jadi private)
+  const removeNonMemberSockets = async (room) => {
+    const sockets = await nsp.in(room.name).fetchSockets();
+    sockets
+      .filter((remote) => !room.members.includes(remote.data.userId))
+      .forEach((remote) => remote.leave(room.name));
+  };
+
+  const createRoom = async ({ name, isPrivate = false, description = "", members = [], owner }, actor) => {
+    assertRoomName(name);
+    await assertAllowed(actor, "room:create", roomResource(name, null));
+
+    const now = Date.now();
+    const roomOwner = owner ?? actor.id;
+    const room = {
+      name,
+      id: name,
+      owner: roomOwner,
+      createdBy: actor.id,
+      members: [...new Set([roomOwner, ...members])],
+      roles: {},
+      isPrivate: Boolean(isPrivate),
+      description,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (!(await roomRegistry.create(room))) {
+      throw new ChatError("room_exists", "Room already exists", 409);
+    }
+
+    emitRoomEvent(room, "room:created", room);
+    emitWebhook("room.created", room);
+    return room;
+  };
+
+  const updateRoom = async (name, { description, isPrivate }, actor) => {
+    const room = await getRegisteredRoom(name);
+    await assertAllowed(actor, "room:update", roomResource(name, room));
+
+    const updated = await roomRegistry.update(name, (current) => ({
+      ...current,
+      description: description ?? current.description,
+      isPrivate: isPrivate === undefined ? current.isPrivate : Boolean(isPrivate),
+      updatedAt: Date.now()
+    }));
+
+    if (updated.isPrivate) await removeNonMemberSockets(updated);
+    emitRoomEvent(updated, "room:updated", updated);
+    return updated;
+  };
+
+  const deleteRoom = async (name, actor) => {
+    const room = await getRegisteredRoom(name);
+    await assertAllowed(actor, "room:delete", roomResource(name, room));
+
+    await roomRegistry.remove(name);
+    emitRoomEvent(room, "room:deleted", { room: name, by: actor.id });
+    nsp.in(name).socketsLeave(name);
+    return room;
+  };
+
+  const inviteToRoom = async (name, userId, actor) => {
+    const room = await getRegisteredRoom(name);
+    await assertAllowed(actor, "room:invite", roomResource(name, room));
+    if (!userId) throw new ChatError("invalid_payload", "userId is required");
+
+    const updated = await roomRegistry.update(name, (current) =>
+      current.members.includes(userId)
+        ? null
+        : { ...current, members: [...current.members, userId], updatedAt: Date.now() });
+
+    nsp.to(userRoom(userId)).emit("room:invited", { room: updated, invitedBy: actor.id });
+    nsp.to(name).emit("room:member_added", { room: name, userId, by: actor.id });
+    return updated;
+  };
+
+  const kickFromRoom = async (name, userId, actor) => {
+    const room = await getRegisteredRoom(name);
+    await assertAllowed(actor, "room:kick", roomResource(name, room));
+    if (userId === room.owner) throw new ChatError("forbidden", "The room owner cannot be kicked", 403);
+    if (room.roles?.[userId] === "moderator" && !(await can(actor, "room:roles", roomResource(name, room)))) {
+      throw new ChatError("forbidden", "Only the room owner can kick a room moderator", 403);
+    }
+
+    const updated = await roomRegistry.update(name, (current) => {
+      if (!current.members.includes(userId)) return null;
+      const { [userId]: removedRole, ...roles } = current.roles || {};
+      return { ...current, members: current.members.filter((id) => id !== userId), roles, updatedAt: Date.now() };
+    });
+
+    nsp.in(userRoom(userId)).socketsLeave(name);
+    nsp.to(userRoom(userId)).emit("room:kicked", { room: name, by: actor.id });
+    nsp.to(name).emit("room:member_removed", { room: name, userId, by: actor.id });
+    return updated;
+  };
+
+  const transferRoomOwnership = async (name, userId, actor) => {
+    const room = await getRegisteredRoom(name);
+    await assertAllowed(actor, "room:transfer", roomResource(name, room));
+    if (!room.members.includes(userId)) {
+      throw new ChatError("not_member", "New owner must be a member of the room", 400);
+    }
+
+    const updated = await roomRegistry.update(name, (current) => {
+      const { [userId]: previousRole, ...roles } = current.roles || {};
+      return { ...current, owner: userId, roles, updatedAt: Date.now() };
+    });
+
+    emitRoomEvent(updated, "room:updated", updated);
+    return updated;
+  };
+
+  // Role member di room: moderator, member, atau read-only (owner lewat transfer)
+  const setRoomRole = async (name, userId, role, actor) => {
+    const room = await getRegisteredRoom(name);
+    await assertAllowed(actor, "room:roles", roomResource(name, room));
+    if (!ROOM_ROLES.includes(role) || role === "owner") {
+      throw new ChatError("invalid_payload", "Role must be moderator, member or read-only");
+    }
+    if (!room.members.includes(userId)) throw new ChatError("not_member", "User is not a member of the room", 400);
+    if (userId === room.owner) throw new ChatError("forbidden", "Use room transfer to change the owner", 403);
+
+    const updated = await roomRegistry.update(name, (current) => {
+      const { [userId]: previousRole, ...roles } = current.roles || {};
+      if ((previousRole ?? "member") === role) return null;
+      return {
+        ...current,
+        roles: role === "member" ? roles : { ...roles, [userId]: role },
+        updatedAt: Date.now()
+      };
+    });
+
+    nsp.to(name).to(userRoom(userId)).emit("room:role_changed", { room: name, userId, role, by: actor.id });
+    return updated;
+  };
+
+  // Moderation (mute, kick, ban, slow-mode) di seluruh cluster
+  const moderation = storeOf(createRedisModerationStore, createMemoryModerationStore);
+
+  // Aksi moderasi di room butuh room:moderate, tanpa room (namespace) butuh server:moderate
+  const assertCanModerate = async (room, actor) => {
+    if (room) {
+      assertRoomName(room);
+      return assertRoomAccess(room, actor, "room:moderate");
+    }
+    await assertAllowed(actor, "server:moderate", { type: "server" });
+    return null;
+  };
+
+  const auditModeration = async (action, data, actor) => {
+    const entry = { id: createId(), action, ...data, by: actor.id, ts: Date.now() };
+    await moderation.audit(entry);
+    emitWebhook("moderation.action", entry);
+    return entry;
+  };
+
+  const untilOf = (duration) => (Number(duration) > 0 ? Date.now() + Number(duration) : null);
+
+  // Keluarkan socket target dari room, atau putuskan dari namespace kalau room kosong
+  const removeSockets = async ({ userId, ip, room }, notice) => {
+    const targets = [];
+    if (userId) targets.push(userRoom(userId));
+
+    if (ip) {
+      const sockets = await (room ? nsp.in(room) : nsp).fetchSockets();
+      sockets.filter((remote) => remote.data.ip === ip).forEach((remote) => targets.push(remote.id));
+    }
+    if (targets.length === 0) return;
+
+    nsp.to(targets).emit(notice.event, notice.data);
+    if (room) {
+      nsp.in(targets).socketsLeave(room);
+    } else {
+      nsp.in(targets).disconnectSockets(true);
+    }
+  };
+
+  // Target di room terdaftar kehilangan membership (kecuali owner)
+  const removeMembership = async (registered, userId) => {
+    if (!registered || !userId) return;
+    if (registered.owner === userId) throw new ChatError("forbidden", "The room owner cannot be removed", 403);
+
+    await roomRegistry.update(registered.name, (current) => {
+      if (!current.members.includes(userId)) return null;
+      const { [userId]: removedRole, ...roles } = current.roles || {};
+      return { ...current, members: current.members.filter((id) => id !== userId), roles, updatedAt: Date.now() };
+    });
+  };
+
+  const muteUser = async ({ userId, room = null, duration, reason = null }, actor) => {
+    if (!userId) throw new ChatError("invalid_payload", "userId is required");
+    await assertCanModerate(room, actor);
+
+    const mute = { userId, room, until: untilOf(duration), reason, by: actor.id, ts: Date.now() };
+    await moderation.mute(mute);
+    await auditModeration("mute", { userId, room, duration: duration ?? null, reason }, actor);
+
+    nsp.to(userRoom(userId)).emit("moderation:muted", mute);
+    return mute;
+  };
+
+  const unmuteUser = async ({ userId, room = null }, actor) => {
+    if (!userId) throw new ChatError("invalid_payload", "userId is required");
+    await assertCanModerate(room, actor);
+
+    const removed = await moderation.unmute(userId, room);
+    if (removed) {
+      await auditModeration("unmute", { userId, room }, actor);
+      nsp.to(userRoom(userId)).emit("moderation:unmuted", { userId, room, by: actor.id });
+    }
+    return removed;
+  };
+
+  const kickUser = async ({ userId, room = null, reason = null }, actor) => {
+    if (!userId) throw new ChatError("invalid_payload", "userId is required");
+    const registered = await assertCanModerate(room, actor);
+    await removeMembership(registered, userId);
+
+    const entry = await auditModeration("kick", { userId, room, reason }, actor);
+    await removeSockets({ userId, room }, {
+      event: "moderation:kicked",
+      data: { room, reason, by: actor.id }
+    });
+    if (room) nsp.to(room).emit("room:member_removed", { room, userId, by: actor.id });
+    return entry;
+  };
+
+  const banUser = async ({ userId, ip, room = null, duration, reason = null }, actor) => {
+    if (!userId && !ip) throw new ChatError("invalid_payload", "userId or ip is required");
+    const registered = await assertCanModerate(room, actor);
+    await removeMembership(registered, userId);
+
+    const ban = {
+      id: createId(),
+      userId: userId ?? null,
+      ip: ip ?? null,
+      room,
+      until: untilOf(duration),
+      reason,
+      by: actor.id,
+      ts: Date.now()
+    };
+    await moderation.ban(ban);
+    await auditModeration("ban", { userId: ban.userId, ip: ban.ip, room, duration: duration ?? null, reason }, actor);
+
+    await removeSockets({ userId, ip, room }, {
+      event: "moderation:banned",
+      data: { room, until: ban.until, reason, by: actor.id }
+    });
+    return ban;
+  };
+
+  const unbanUser = async ({ userId, ip, room = null }, actor) => {
+    if (!userId && !ip) throw new ChatError("invalid_payload", "userId or ip is required");
+    await assertCanModerate(room, actor);
+
+    const removed = await moderation.unban({ userId, ip, room });
+    if (removed) await auditModeration("unban", { userId: userId ?? null, ip: ip ?? null, room }, actor);
+    return removed;
+  };
+
+  // Slow-mode: jarak minimal antar pesan satu user di room, dalam ms (0 = nonaktif)
+  const setSlowMode = async (room, interval, actor) => {
+    if (!room) throw new ChatError("invalid_payload", "room is required");
+    if (!Number.isFinite(Number(interval)) || Number(interval) < 0) {
+      throw new ChatError("invalid_payload", "interval must be a number of milliseconds");
+    }
+    await assertCanModerate(room, actor);
+
+    await moderation.setSlowMode(room, Number(interval));
+    await auditModeration("slowmode", { room, interval: Number(interval) }, actor);
+
+    nsp.to(room).emit("room:slowmode", { room, interval: Number(interval), by: actor.id });
+    return { room, interval: Number(interval) };
+  };
+
+  // Mute, ban dan slow-mode aktif; dengan room hanya yang berlaku di room itu
+  const getModerationState = async ({ room } = {}, actor) => {
+    await assertCanModerate(room, actor);
+
+    const state = await moderation.list();
+    if (!room) return state;
+    return {
+      mutes: state.mutes.filter((mute) => mute.room === room),
+      bans: state.bans.filter((ban) => ban.room === room),
+      slowMode: { [room]: state.slowMode[room] || 0 }
+    };
+  };
+
+  const getAuditLog = async ({ room, limit } = {}, actor) => {
+    await assertCanModerate(room, actor);
+    return moderation.auditLog({ room, limit: Math.min(Number(limit) || 50, 1000) });
+  };
+
+  const assertNotBanned = async ({ userId, ip, room }) => {
+    const ban = await moderation.findBan({ userId, ip, room });
+    if (ban) {
+      throw new ChatError("banned", ban.room ? "You are banned from this room" : "You are banned", 403, {
+        room: ban.room,
+        until: ban.until
+      });
+    }
+  };
+
+  const assertNotMuted = async (userId, room) => {
+    const mute = await moderation.findMute(userId, room);
+    if (mute) {
+      throw new ChatError("muted", mute.room ? "You are muted in this room" : "You are muted", 403, {
+        room: mute.room,
+        until: mute.until
+      });
+    }
+  };
+
+  // Cek sebelum user mengirim pesan ke room: ban, mute, lalu slow-mode (moderator room bebas slow-mode)
+  const assertCanSend = async (actor, ip, room, registered) => {
+    await assertNotBanned({ userId: actor.id, ip, room });
+    await assertNotMuted(actor.id, room);
+    if (!room) return;
+
+    const interval = await moderation.getSlowMode(room);
+    if (interval === 0 || (await can(actor, "room:moderate", roomResource(room, registered)))) return;
+
+    const retryAfter = await moderation.hitSlowMode(room, actor.id, interval);
+    if (retryAfter > 0) {
+      throw new ChatError("slow_mode", `Slow mode is on, wait ${Math.ceil(retryAfter / 1000)}s`, 429, { retryAfter });
+    }
+  };
+
+  // Schema payload semua event client -> server
+  const schemas = createEventSchemas({
+    maxTextLength,
+    maxMetaSize,
+    maxAttachments: attachmentConfig?.maxPerMessage,
+    maxConversationMembers
+  });
+
+  // Rate limit per event (null kalau dinonaktifkan); event dengan nilai false tidak dibatasi
+  const rateLimitRules = rateLimits === false ? null : { ...DEFAULT_RATE_LIMITS, ...rateLimits };
+  if (rateLimitRules) validateRateLimits(rateLimitRules);
+  const rateLimiter = storeOf(createRedisRateLimiter, createMemoryRateLimiter);
+
+  // Ambil satu token dari bucket user dan bucket room; mengembalikan ms tunggu (0 = boleh)
+  const consumeRateLimit = (event, rule, userId, room) => {
+    const buckets = [];
+    if (rule.user) buckets.push({ key: `${event}:user:${userId}`, ...rule.user });
+    if (rule.room && room) buckets.push({ key: `${event}:room:${room}`, ...rule.room });
+    return buckets.length ? rateLimiter.consume(buckets) : 0;
+  };
+
+  // Pelanggar berulang di-mute sementara di seluruh namespace
+  const handleRateLimitViolation = async (userId) => {
+    if (!rateLimitAutoMute) return;
+
+    const { violations = 5, window = 60000, duration = 300000 } = rateLimitAutoMute;
+    if ((await rateLimiter.recordViolation(userId, window)) < violations) return;
+
+    await rateLimiter.resetViolations(userId);
+    await muteUser({ userId, room: null, duration, reason: "Rate limit exceeded" }, SYSTEM_ACTOR);
+  };
+
+  // Ban namespace (user id dari onAuth / token, atau IP) ditolak saat handshake, setelah auth
+  nsp.use(async (socket, next) => {
+    try {
+      await assertNotBanned({
+        userId: socket.user?.id != null ? String(socket.user.id) : null,
+        ip: socket.handshake.address,
+        room: null
+      });
+      next();
+    } catch (error) {
+      const failure = new Error(error instanceof ChatError ? error.message : "Failed to check bans");
+      failure.data = { code: error.code || "store_failed", ...error.details };
+      next(failure);
+    }
+  });
+
+  // Emit ke semua penerima pesan: room, global, atau semua member percakapan private
+  const emitToAudience = (message, event, data) => {
+    if (message.type === "private") {
+      nsp.to(participantsOf(message).map(userRoom)).emit(event, data);
+    } else if (message.room) {
+      nsp.to(message.room).emit(event, data);
+    } else {
+      nsp.emit(event, data);
+    }
+  };
+
+  /**
+   * Simpan pesan room (atau global kalau room kosong): cek akses dan moderasi,
+   * jalankan hook beforeMessage, lalu simpan sekali per clientMessageId.
+   * sender: { user, ip, source }. Mengembalikan { message, duplicate, context, registered }
+   * (registered = data room dari registry, null kalau tidak terdaftar); pesan duplicate tidak
+   * perlu di-publish ulang.
+   */
+  const saveRoomMessage = async ({ room, text, meta, attachments, replyTo, clientMessageId }, actor, sender) => {
+    const { user, ip = null, source = "socket" } = sender;
+    const registered = await assertRoomAccess(room, actor, "room:write");
+    await assertCanSend(actor, ip, room, registered);
+
+    const context = { event: "message", source, actor, room: room ?? null };
+    const draft = {
+      id: createId(),
+      clientMessageId,
+      user,
+      text: text ?? "",
+      meta,
+      attachments: await resolveAttachments(attachments, actor, { room }),
+      replyTo,
+      room,
+      ts: Date.now(),
+      readBy: [actor.id],
+      deliveredTo: []
+    };
+    if (replyTo) draft.threadId = await resolveThread(replyTo, room);
+
+    const filtered = await messagePipeline.runBefore(draft, context);
+    const result = await persistMessage(actor.id, roomScope(room), filtered);
+    if (!result.duplicate) auditFlags(result.message);
+    return { ...result, context, registered };
+  };
+
+  // Broadcast pesan room yang baru disimpan (hasil saveRoomMessage); pesan global dari socket
+  // tidak dikirim balik ke pengirim
+  const publishRoomMessage = ({ message, context, registered }, socket = null) => {
+    const type = message.threadId ? "thread" : "room";
+    chatMetrics?.messages.inc({ type, room: roomLabel(message.room, registered) });
+    chatMetrics?.emitLatency.observe({ type }, (Date.now() - message.ts) / 1000);
+
+    if (message.room) {
+      nsp.to(message.room).emit("message", message);
+    } else if (socket) {
+      socket.broadcast.emit("message", message);
+    } else {
+      nsp.emit("message", message);
+    }
+
+    if (message.threadId) {
+      trackWrite(addThreadReply(message.threadId, message)).catch((error) => {
+        log.error("Failed to update thread", { threadId: message.threadId, messageId: message.id, error: error.message });
+      });
+    }
+
+    emitWebhook("message.created", message);
+    trackWrite(messagePipeline.runAfter(message, context));
+  };
+
+  // Percakapan private: 1:1 dan grup kecil, id deterministik dari daftar member
+  const conversationStore = storeOf(createRedisConversationStore, createMemoryConversationStore);
+
+  const conversationResource = (conversation) => ({
+    type: "conversation",
+    conversation,
+    participants: conversation.members
+  });
+
+  /**
+   * Buka percakapan dengan `members`; actor ikut jadi member kecuali API_ACTOR (atau includeActor false).
+   * Percakapan yang sudah ada dikembalikan apa adanya, yang baru diumumkan ke semua member
+   * lewat `conversation:created`. Mengembalikan { conversation, created }.
+   */
+  const openConversation = async ({ members = [], name }, actor, { includeActor = actor !== API_ACTOR } = {}) => {
+    const key = conversationKeyOf(includeActor ? [actor.id, ...members] : members);
+    if (key.members.length < 2) {
+      throw new ChatError("invalid_payload", "A conversation needs at least two members", 400, { path: "members" });
+    }
+    if (key.members.length > maxConversationMembers) {
+      throw new ChatError("too_many_members", `A conversation can have at most ${maxConversationMembers} members`, 400, {
+        maxMembers: maxConversationMembers
+      });
+    }
+    for (const userId of key.members) {
+      if (userId !== actor.id) await assertAllowed(actor, "message:private", { type: "user", userId });
+    }
+
+    const result = await conversationStore.open({
+      ...key,
+      name: key.type === "group" ? name ?? null : null,
+      createdBy: actor.id,
+      createdAt: Date.now()
+    });
+    if (result.created) {
+      nsp.to(result.conversation.members.map(userRoom)).emit("conversation:created", result.conversation);
+    }
+    return result;
+  };
+
+  // Percakapan yang boleh dibaca actor (member, atau admin/moderator); selain itu not_found
+  const getConversation = async (conversationId, actor) => {
+    const conversation = conversationId ? await conversationStore.get(conversationId) : null;
+    if (!conversation || !(await can(actor, "message:read", conversationResource(conversation)))) {
+      throw new ChatError("not_found", "Conversation not found", 404);
+    }
+    return conversation;
+  };
+
+  // Tujuan private message: conversationId, atau percakapan 1:1 dengan toUserId (dibuat kalau belum ada)
+  const resolveConversation = async ({ conversationId, toUserId }, actor) => {
+    if (conversationId) return getConversation(conversationId, actor);
+    const { conversation } = await openConversation({ members: [toUserId] }, actor, { includeActor: true });
+    return conversation;
+  };
+
+  // Label posisi baca percakapan untuk satu member (withUserId hanya untuk 1:1)
+  const conversationLabels = (conversation, userId) => {
+    const others = conversation.members.filter((memberId) => memberId !== userId);
+    return {
+      conversationId: conversation.id,
+      ...(conversation.type === "direct" && others.length === 1 && { withUserId: others[0] })
+    };
+  };
+
+  // Percakapan user (terbaru dulu) dengan pesan terakhir dan jumlah pesan belum dibaca
+  const listConversations = async (userId, { limit } = {}) => {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+    const conversations = await conversationStore.list(userId, { limit: size });
+
+    return Promise.all(conversations.map(async ({ lastMessageId, ...conversation }) => {
+      const scope = conversationScope(conversation);
+      const [lastMessage, position] = await Promise.all([
+        lastMessageId ? messageStore.get(lastMessageId) : null,
+        readState.get(userId, scope)
+      ]);
+      return {
+        ...conversation,
+        lastMessage: lastMessage ? withReactionSummary(lastMessage) : null,
+        unread: await countUnread(scope, position)
+      };
+    }));
+  };
+
+  // History percakapan (cursor pagination), hanya untuk member
+  const getConversationHistory = async (conversationId, query, actor) => {
+    const conversation = await getConversation(conversationId, actor);
+    const page = await messageStore.list(conversationScope(conversation), query);
+    return {
+      conversationId,
+      conversation,
+      ...page,
+      messages: page.messages.map(withReactionSummary)
+    };
+  };
+
+  // Simpan private message ke percakapan: cek membership dan mute, hook beforeMessage, lalu simpan
+  const savePrivateMessage = async ({ conversationId, toUserId, text, meta, attachments, clientMessageId }, actor, sender) => {
+    const { user, source = "socket" } = sender;
+    const conversation = await resolveConversation({ conversationId, toUserId }, actor);
+    await assertAllowed(actor, "message:private", conversationResource(conversation));
+    await assertNotMuted(actor.id, null);
+
+    // Percakapan 1:1 tetap memakai `to`; grup (atau pengirim di luar percakapan) memakai `members`
+    const recipients = conversation.members.filter((userId) => userId !== actor.id);
+    const to = recipients.length === 1 ? recipients[0] : null;
+
+    const context = { event: "message:private", source, actor, room: null, toUserId: to, conversation };
+    const filtered = await messagePipeline.runBefore({
+      id: createId(),
+      clientMessageId,
+      from: user,
+      to,
+      ...(to === null && { members: conversation.members }),
+      conversationId: conversation.id,
+      text: text ?? "",
+      meta,
+      attachments: await resolveAttachments(attachments, actor, { conversationId: conversation.id }),
+      ts: Date.now(),
+      type: 'private',
+      deliveredTo: []
+    }, context);
+
+    const result = await persistMessage(actor.id, conversationScope(conversation), filtered);
+    if (!result.duplicate) auditFlags(result.message);
+    return { ...result, context };
+  };
+
+  // Private message untuk user offline disimpan di antrian sampai user:join berikutnya
+  const offlineQueue = offlineQueueOptions === false
+    ? null
+    : storeOf(createRedisOfflineQueue, createMemoryOfflineQueue, offlineQueueOptions);
+
+  // Kirim antrian user sesuai urutan; pengirim mendapat message:status "delivered"
+  const flushOfflineQueue = async (userId) => {
+    const entries = await offlineQueue.drain(userId);
+
+    for (const { messageId, queuedAt } of entries) {
+      const message = await messageStore.get(messageId);
+      if (!message || message.deleted) continue;
+
+      nsp.to(userRoom(userId)).emit("message:private", { ...message, queuedAt });
+      nsp.to(userRoom(message.from.id)).emit("message:status", {
+        messageId,
+        conversationId: message.conversationId,
+        toUserId: userId,
+        status: "delivered",
+        ts: Date.now()
+      });
+    }
+    return entries.length;
+  };
+
+  /**
+   * Masukkan private message ke antrian penerima yang offline. Mengembalikan { status, queued }:
+   * status "delivered" kalau semua penerima online, "queued" kalau ada yang mengantri
+   * (undefined kalau antrian nonaktif), queued = id user yang mengantri.
+   * Kalau Redis gagal, pesan tetap di-emit ke penerima itu.
+   */
+  const routePrivateMessage = async (message) => {
+    if (!offlineQueue) return { status: undefined, queued: [] };
+
+    const queued = [];
+    for (const userId of participantsOf(message)) {
+      if (userId === message.from.id) continue;
+
+      try {
+        if (await presence.get(userId)) continue;
+
+        await offlineQueue.push(userId, { messageId: message.id, queuedAt: Date.now() });
+        queued.push(userId);
+
+        // Penerima join di antara cek presence dan push: antriannya langsung dikirim
+        if (await presence.get(userId)) await flushOfflineQueue(userId);
+      } catch (error) {
+        log.error("Failed to queue private message", { userId, messageId: message.id, error: error.message });
+      }
+    }
+    return { status: queued.length > 0 ? "queued" : "delivered", queued };
+  };
+
+  // Kirim ke semua socket member percakapan (kecuali yang pesannya mengantri), dan balik ke
+  // semua socket pengirim sebagai konfirmasi
+  const publishPrivateMessage = (message, context, queued = []) => {
+    const fromUserId = message.from.id;
+    const { conversation } = context;
+    const targets = [...new Set([...participantsOf(message), fromUserId])]
+      .filter((userId) => !queued.includes(userId));
+    chatMetrics?.messages.inc({ type: "private" });
+    chatMetrics?.emitLatency.observe({ type: "private" }, (Date.now() - message.ts) / 1000);
+    nsp.to(targets.map(userRoom)).emit("message:private", message);
+
+    if (enableReadReceipts) {
+      const scope = conversationScope(conversation);
+      conversation.members.forEach((userId) => {
+        const labels = conversationLabels(conversation, userId);
+        if (userId === fromUserId) {
+          saveReadPosition("set", userId, scope, { ...labels, messageId: message.id });
+        } else {
+          saveReadPosition("track", userId, scope, { ...labels, messageId: null });
+        }
+      });
+    }
+
+    trackWrite(conversationStore.touch(conversation, message)).catch((error) => {
+      log.error("Failed to update conversation", { conversationId: conversation.id, error: error.message });
+    });
+    emitWebhook("message.created", message);
+    trackWrite(messagePipeline.runAfter(message, context));
+  };
+
+  // Kirim pesan atas nama backend / REST (payload divalidasi dengan schema event yang sama)
+  const postMessage = async (event, payload, actor) => {
+    const error = validatePayload(schemas[event], payload);
+    if (error) throw new ChatError("invalid_payload", error.message, 400, { path: error.path });
+
+    const sender = { user: { id: actor.id, name: actor.name ?? actor.id }, source: "api" };
+    if (event === "message:private") {
+      const result = await savePrivateMessage(payload, actor, sender);
+      if (result.duplicate) return { message: result.message, duplicate: true };
+
+      const { status, queued } = await routePrivateMessage(result.message);
+      publishPrivateMessage(result.message, result.context, queued);
+      return { message: result.message, duplicate: false, status };
+    }
+
+    if (payload.room) assertRoomName(payload.room);
+    const result = await saveRoomMessage(payload, actor, sender);
+    if (!result.duplicate) publishRoomMessage(result);
+    return { message: result.message, duplicate: result.duplicate };
+  };
+
+  // Ambil pesan yang boleh diubah actor ({ id, role }), action "edit" atau "delete"
+  const getModifiableMessage = async (messageId, actor, action) => {
+    const message = messageId ? await messageStore.get(messageId) : null;
+    if (!message) throw new ChatError("not_found", "Message not found", 404);
+    if (message.deleted) throw new ChatError("message_deleted", "Message has been deleted", 410);
+
+    const room = message.room ? await roomRegistry.get(message.room) : null;
+    await assertAllowed(actor, `message:${action}`, messageResource(message, room));
+    return message;
+  };
+
+  /**
+   * Edit teks/meta pesan. Versi sebelumnya disimpan di `edits`
+   * (urut dari yang paling lama), lalu `message:edited` di-broadcast.
+   */
+  const editMessage = async (messageId, { text, meta }, actor, source = "api") => {
+    if (typeof text !== "string" || text.trim() === "") {
+      throw new ChatError("invalid_payload", "Text is required");
+    }
+    const existing = await getModifiableMessage(messageId, actor, "edit");
+
+    // Teks hasil edit melewati hook beforeMessage yang sama dengan pesan baru
+    const context = {
+      event: "message:edit",
+      source,
+      actor,
+      room: existing.room ?? null,
+      toUserId: existing.type === "private" ? existing.to : undefined,
+      conversationId: existing.conversationId
+    };
+    const filtered = await messagePipeline.runBefore({
+      ...existing,
+      text,
+      meta: meta === undefined ? existing.meta : meta
+    }, context);
+
+    const editedAt = Date.now();
+    const updated = await messageStore.update(messageId, (current) => ({
+      ...current,
+      text: filtered.text,
+      meta: filtered.meta,
+      ...(filtered.flagged && { flagged: true, flags: filtered.flags }),
+      editedAt,
+      editedBy: actor.id,
+      edits: [
+        ...(current.edits || []),
+        {
+          text: current.text,
+          meta: current.meta,
+          ts: current.editedAt || current.ts,
+          by: current.editedBy || authorOf(current)
+        }
+      ]
+    }));
+
+    auditFlags(filtered, existing.flags);
+    emitToAudience(updated, "message:edited", updated);
+    emitWebhook("message.edited", updated);
+    trackWrite(messagePipeline.runAfter(updated, context));
+    return updated;
+  };
+
+  // Hapus isi pesan (soft delete) supaya cursor history dan reply tetap valid
+  const deleteMessage = async (messageId, actor) => {
+    const existing = await getModifiableMessage(messageId, actor, "delete");
+
+    const deletedAt = Date.now();
+    const updated = await messageStore.update(messageId, (current) => ({
+      ...current,
+      text: "",
+      meta: null,
+      attachments: undefined,
+      edits: [],
+      deleted: true,
+      deletedAt,
+      deletedBy: actor.id
+    }));
+
+    emitToAudience(updated, "message:deleted", {
+      messageId,
+      room: updated.room,
+      deletedBy: actor.id,
+      ts: deletedAt
+    });
+    emitWebhook("message.deleted", {
+      messageId,
+      room: updated.room ?? null,
+      conversationId: updated.conversationId ?? null,
+      deletedBy: actor.id,
+      ts: deletedAt
+    });
+
+    trackWrite(removeAttachments(existing)).catch((error) => {
+      log.error("Failed to remove attachments", { messageId, error: error.message });
+    });
+    return updated;
+  };
+
+  // Data attachment yang dikirim ke client (tanpa key storage dan data upload)
+  const publicAttachment = ({ key, thumbnail, room, conversationId, uploadedBy, ts, ...attachment }) => ({
+    ...attachment,
+    ...(thumbnail && { thumbnail: { width: thumbnail.width, height: thumbnail.height } })
+  });
+
+  // Nama file dari user: tanpa path dan karakter kontrol
+  const safeFileName = (name, fallback) => {
+    const cleaned = String(name ?? "").replace(/[\\/\u0000-\u001f\u007f]/g, "_").trim().slice(0, 255);
+    return cleaned || fallback;
+  };
+
+  // Upload ke room butuh room:write, ke percakapan butuh message:private; user yang di-mute/ban tidak bisa upload
+  const assertCanAttach = async (actor, { room, conversation }) => {
+    if (conversation) {
+      await assertAllowed(actor, "message:private", conversationResource(conversation));
+    } else {
+      if (room) assertRoomName(room);
+      await assertRoomAccess(room, actor, "room:write");
+    }
+    await assertNotBanned({ userId: actor.id, room: conversation ? null : room });
+    await assertNotMuted(actor.id, conversation ? null : room);
+  };
+
+  /**
+   * Simpan file attachment untuk tujuan tertentu (room, percakapan / user, atau global).
+   * Gambar dicek isinya (harus sesuai mimeType) dan mendapat width/height + metadata thumbnail.
+   * Upload yang tidak pernah dikirim di pesan tidak kedaluwarsa: file dan metadata tetap ada.
+   */
+  const uploadAttachment = async ({ data, name, mimeType, room = null, toUserId = null, conversationId = null }, actor) => {
+    if (!attachmentConfig) throw new ChatError("attachments_disabled", "Attachments are not enabled", 404);
+    const { storage, maxSize, allowedTypes, thumbnailSize, createThumbnail } = attachmentConfig;
+
+    if (!Buffer.isBuffer(data) || data.length === 0) throw new ChatError("invalid_payload", "File is empty");
+    if (data.length > maxSize) {
+      throw new ChatError("file_too_large", `File is larger than ${maxSize} bytes`, 413, { maxSize });
+    }
+
+    const type = String(mimeType || "application/octet-stream").split(";")[0].trim().toLowerCase();
+    if (!isAllowedType(type, allowedTypes)) {
+      throw new ChatError("unsupported_type", `File type ${type} is not allowed`, 415);
+    }
+    const conversation = conversationId || toUserId
+      ? await resolveConversation({ conversationId, toUserId }, actor)
+      : null;
+    await assertCanAttach(actor, { room, conversation });
+
+    const image = detectImage(data);
+    if (type.startsWith("image/") && image?.mimeType !== type) {
+      throw new ChatError("unsupported_type", "File content does not match its type", 415);
+    }
+
+    const id = createId();
+    const attachment = {
+      id,
+      key: id,
+      name: safeFileName(name, id),
+      mimeType: type,
+      size: data.length,
+      room: conversation ? null : room,
+      conversationId: conversation?.id ?? null,
+      uploadedBy: actor.id,
+      ts: Date.now()
+    };
+    await storage.put(attachment.key, data, { mimeType: type, size: data.length });
+
+    if (image) {
+      attachment.width = image.width;
+      attachment.height = image.height;
+      attachment.thumbnail = fitWithin(image, thumbnailSize);
+
+      // Thumbnail asli (mis. dibuat dengan sharp); kalau gagal tetap pakai ukuran hasil hitungan
+      if (createThumbnail) {
+        try {
+          const thumbnail = await createThumbnail(data, { ...image, maxSize: thumbnailSize });
+          if (thumbnail) {
+            const key = `${id}.thumb`;
+            await storage.put(key, thumbnail.data, { mimeType: thumbnail.mimeType, size: thumbnail.data.length });
+            attachment.thumbnail = {
+              width: thumbnail.width,
+              height: thumbnail.height,
+              key,
+              mimeType: thumbnail.mimeType,
+              size: thumbnail.data.length
+            };
+          }
+        } catch (error) {
+          log.error("Failed to create thumbnail", { attachmentId: id, error: error.message });
+        }
+      }
+    }
+
+    await attachmentStore.save(attachment);
+    return publicAttachment(attachment);
+  };
+
+  // Attachment di pesan harus di-upload pengirim untuk tujuan yang sama (room / percakapan)
+  const resolveAttachments = async (ids, actor, { room = null, conversationId = null }) => {
+    if (!ids?.length) return undefined;
+    if (!attachmentConfig) {
+      throw new ChatError("invalid_payload", "Attachments are not enabled", 400, { path: "attachments" });
+    }
+
+    return Promise.all([...new Set(ids)].map(async (id) => {
+      const attachment = await attachmentStore.get(id);
+      const sameTarget = attachment && attachment.room === (room ?? null) &&
+        attachment.conversationId === (conversationId ?? null);
+      if (!sameTarget || attachment.uploadedBy !== actor.id) {
+        throw new ChatError("invalid_attachment", `Attachment ${id} not found`, 400, { attachmentId: id });
+      }
+      return publicAttachment(attachment);
+    }));
+  };
+
+  // Attachment boleh dibaca kalau actor boleh membaca pesan di tujuannya (message:read)
+  const getReadableAttachment = async (attachmentId, actor) => {
+    const attachment = attachmentConfig && attachmentId ? await attachmentStore.get(attachmentId) : null;
+    if (attachment) {
+      const room = attachment.room ? await roomRegistry.get(attachment.room) : null;
+      const conversation = attachment.conversationId ? await conversationStore.get(attachment.conversationId) : null;
+      const resource = {
+        type: "message",
+        message: null,
+        attachment: publicAttachment(attachment),
+        authorId: attachment.uploadedBy,
+        participants: attachment.conversationId ? conversation?.members ?? [attachment.uploadedBy] : undefined,
+        room
+      };
+      if (await can(actor, "message:read", resource)) return attachment;
+    }
+    throw new ChatError("not_found", "Attachment not found", 404);
+  };
+
+  // File (asli atau thumbnail) dari attachment
+  const attachmentFile = (attachment, variant) => {
+    if (variant === "thumbnail") {
+      const { key, mimeType, size } = attachment.thumbnail || {};
+      return key ? { key, mimeType, size } : null;
+    }
+    return { key: attachment.key, mimeType: attachment.mimeType, size: attachment.size };
+  };
 
-  // Redis Pub/Sub
-  const pubClient = createClient({ url: redisUrl });
-  const subClient = pubClient.duplicate();
-  await pubClient.connect();
-  await subClient.connect();
+  /**
+   * URL download bertanda tangan yang kedaluwarsa setelah urlTtl.
+   * Storage dengan getSignedUrl (mis. S3) memberi URL langsung ke storage.
+   */
+  const getAttachmentUrl = async (attachmentId, actor) => {
+    const attachment = await getReadableAttachment(attachmentId, actor);
+    const { storage, urlTtl, secret, baseUrl } = attachmentConfig;
+    const expiresAt = Date.now() + urlTtl;
 
-  io.adapter(createAdapter(pubClient, subClient));
+    const urlOf = async (variant) => {
+      const file = attachmentFile(attachment, variant);
+      if (!file) return undefined;
 
-  const nsp = io.of(namespace);
+      if (storage.getSignedUrl) {
+        return storage.getSignedUrl(file.key, {
+          expiresIn: Math.ceil(urlTtl / 1000),
+          mimeType: file.mimeType,
+          contentDisposition: contentDispositionOf(attachment)
+        });
+      }
 
-  // Store active users
-  const activeUsers = new Map();
-  const typingUsers = new Map();
+      const { expires, signature } = signDownload(secret, attachment.id, variant, expiresAt);
+      const query = new URLSearchParams({ expires: String(expires), signature });
+      if (variant === "thumbnail") query.set("variant", variant);
+      return `${baseUrl}${restApiPrefix}/attachments/${encodeURIComponent(attachment.id)}/download?${query}`;
+    };
 
-  // (opsional) auth middleware
-  if (onAuth) nsp.use(onAuth);
+    return {
+      attachment: publicAttachment(attachment),
+      url: await urlOf("original"),
+      thumbnailUrl: await urlOf("thumbnail"),
+      expiresAt
+    };
+  };
+
+  // Buka file untuk URL download bertanda tangan (tanpa auth lain, tanda tangan adalah izinnya)
+  const openAttachment = async (attachmentId, { expires, signature, variant = "original" } = {}) => {
+    if (!attachmentConfig) throw new ChatError("not_found", "Attachment not found", 404);
+    if (!["original", "thumbnail"].includes(variant) ||
+        !verifyDownload(attachmentConfig.secret, attachmentId, variant, expires, signature)) {
+      throw new ChatError("invalid_signature", "Download link is invalid or has expired", 403);
+    }
+
+    const attachment = await attachmentStore.get(attachmentId);
+    const file = attachment && attachmentFile(attachment, variant);
+    const stream = file ? await attachmentConfig.storage.get(file.key) : null;
+    if (!stream) throw new ChatError("not_found", "Attachment not found", 404);
+
+    return {
+      stream,
+      mimeType: file.mimeType,
+      size: file.size,
+      contentDisposition: contentDispositionOf(attachment),
+      expiresAt: Number(expires)
+    };
+  };
+
+  // Hapus file + metadata attachment (dipakai saat pesan dihapus)
+  const removeAttachments = async (message) => {
+    if (!attachmentConfig || !message.attachments?.length) return;
+
+    for (const { id } of message.attachments) {
+      const attachment = await attachmentStore.get(id);
+      if (!attachment || attachment.uploadedBy !== authorOf(message)) continue;
+
+      await attachmentConfig.storage.remove(attachment.key);
+      if (attachment.thumbnail?.key) await attachmentConfig.storage.remove(attachment.thumbnail.key);
+      await attachmentStore.remove(id);
+    }
+  };
+
+  // Ambil pesan yang boleh dilihat actor: private message hanya untuk kedua user,
+  // pesan di room private hanya untuk member. Pesan yang tidak boleh dilihat dianggap tidak ada.
+  const getVisibleMessage = async (messageId, actor) => {
+    const message = messageId ? await messageStore.get(messageId) : null;
+    const room = message?.room ? await roomRegistry.get(message.room) : null;
+    if (!message || !(await can(actor, "message:read", messageResource(message, room)))) {
+      throw new ChatError("not_found", "Message not found", 404);
+    }
+    return message;
+  };
+
+  // Riwayat edit pesan
+  const getMessageEdits = async (messageId, actor) => {
+    const message = await getVisibleMessage(messageId, actor);
+    return { messageId, text: message.text, edits: message.edits || [] };
+  };
+
+  /**
+   * Tambah/hapus reaksi emoji user pada pesan, lalu broadcast delta
+   * `message:reactions` ({ messageId, emoji, userId, action, count }).
+   * @param {"add"|"remove"} action
+   */
+  const updateReaction = async (messageId, emoji, actor, action) => {
+    if (typeof emoji !== "string" || emoji.trim() === "" || emoji.length > MAX_EMOJI_LENGTH) {
+      throw new ChatError("invalid_payload", "Invalid emoji");
+    }
+
+    const message = await getVisibleMessage(messageId, actor);
+    if (message.deleted) throw new ChatError("message_deleted", "Message has been deleted", 410);
+    if (message.type !== "private") await assertRoomAccess(message.room, actor, "room:write");
+
+    let changed = false;
+    let limitReached = false;
+    const updated = await messageStore.update(messageId, (current) => {
+      const reactions = { ...(current.reactions || {}) };
+      const userIds = reactions[emoji] || [];
+      changed = false;
+      limitReached = false;
+
+      if (action === "add") {
+        if (userIds.includes(actor.id)) return null;
+        if (!reactions[emoji] && Object.keys(reactions).length >= maxReactionsPerMessage) {
+          limitReached = true;
+          return null;
+        }
+        reactions[emoji] = [...userIds, actor.id];
+      } else {
+        if (!userIds.includes(actor.id)) return null;
+        const remaining = userIds.filter((id) => id !== actor.id);
+        if (remaining.length) {
+          reactions[emoji] = remaining;
+        } else {
+          delete reactions[emoji];
+        }
+      }
+
+      changed = true;
+      return { ...current, reactions };
+    });
+
+    if (limitReached) {
+      throw new ChatError("reaction_limit", `Message already has ${maxReactionsPerMessage} different reactions`, 409);
+    }
+
+    if (changed) {
+      emitToAudience(updated, "message:reactions", {
+        messageId,
+        room: updated.room,
+        emoji,
+        userId: actor.id,
+        action,
+        count: updated.reactions?.[emoji]?.length || 0
+      });
+    }
+    return updated;
+  };
+
+  // Root thread untuk reply; reply ke reply tetap masuk thread root yang sama
+  const resolveThread = async (replyTo, room) => {
+    const parent = await messageStore.get(replyTo);
+    if (!parent || parent.type === "private" || parent.deleted || (parent.room ?? null) !== (room ?? null)) {
+      throw new ChatError("invalid_reply", "Reply target not found in this room", 404);
+    }
+    return parent.threadId || parent.id;
+  };
+
+  // Follow thread untuk semua socket milik user (seluruh cluster)
+  const followThread = (userId, threadId) => {
+    nsp.in(userRoom(userId)).socketsJoin(threadRoom(threadId));
+  };
+
+  /**
+   * Catat reply di thread: index reply, update replyCount/lastReplyAt di root,
+   * auto-follow untuk penulis reply dan root, lalu kirim `thread:updated` ke follower.
+   */
+  const addThreadReply = async (threadId, reply) => {
+    await messageStore.link(threadScope(threadId), reply);
+
+    const root = await messageStore.update(threadId, (current) => ({
+      ...current,
+      replyCount: (current.replyCount || 0) + 1,
+      lastReplyAt: reply.ts,
+      lastReplyBy: reply.user?.id
+    }));
+    if (!root) return;
+
+    followThread(reply.user?.id, threadId);
+    if (authorOf(root)) followThread(authorOf(root), threadId);
+
+    nsp.to(threadRoom(threadId)).emit("thread:updated", {
+      threadId,
+      room: root.room,
+      replyCount: root.replyCount,
+      lastReplyAt: root.lastReplyAt,
+      lastReplyBy: root.lastReplyBy,
+      reply
+    });
+  };
+
+  // Root pesan + satu halaman reply thread
+  const getThread = async (threadId, query, actor) => {
+    const root = await getVisibleMessage(threadId, actor);
+    if (root.type === "private") throw new ChatError("not_found", "Message not found", 404);
+
+    const page = await messageStore.list(threadScope(threadId), query);
+    return {
+      threadId,
+      root: withReactionSummary(root),
+      ...page,
+      messages: page.messages.map(withReactionSummary)
+    };
+  };
+
+  // Posisi baca terakhir per user per room/percakapan
+  const readState = storeOf(createRedisReadState, createMemoryReadState);
+
+  // Simpan posisi baca tanpa menunggu hasil
+  const saveReadPosition = (action, userId, scope, position) => {
+    trackWrite(readState[action](userId, scope, { ts: Date.now(), ...position })).catch((error) => {
+      log.error("Failed to update read state", { userId, error: error.message });
+    });
+  };
+
+  // Room dilacak sejak join pertama: posisi awal = pesan terakhir room saat itu, jadi history
+  // sebelum join tidak dihitung belum dibaca. Join berikutnya tidak mengubah posisi.
+  const trackRoomRead = (userId, room) => {
+    const scope = roomScope(room);
+    const tracking = messageStore.list(scope, { limit: 1 }).then(({ messages }) =>
+      readState.track(userId, scope, { messageId: messages.at(-1)?.id ?? null, room, ts: Date.now() }));
+    trackWrite(tracking).catch((error) => {
+      log.error("Failed to update read state", { userId, room, error: error.message });
+    });
+  };
+
+  /**
+   * Tandai pesan sampai `messageId` sudah dibaca user, update readBy di store.
+   * Mengembalikan id pesan yang ditandai, atau null kalau pesan tidak ada
+   * di scope atau posisi baca user tidak maju.
+   */
+  const markRead = async (userId, scope, messageId, labels) => {
+    const remaining = await messageStore.countAfter(scope, messageId);
+    if (remaining === null) return null;
+
+    const position = await readState.get(userId, scope);
+    if (position?.messageId) {
+      const previous = await messageStore.countAfter(scope, position.messageId);
+      if (previous !== null && previous <= remaining) return null;
+    }
+
+    // Pesan di antara posisi lama dan messageId (maksimal satu halaman history)
+    const { messages } = await messageStore.list(scope, { before: messageId, limit: 100 });
+    const startIndex = messages.findIndex((message) => message.id === position?.messageId) + 1;
+    const messageIds = [...messages.slice(startIndex).map((message) => message.id), messageId];
+
+    for (const id of messageIds) {
+      await messageStore.update(id, (message) => {
+        if (message.readBy?.includes(userId)) return null;
+        return { ...message, readBy: [...(message.readBy || []), userId] };
+      });
+    }
+
+    await readState.set(userId, scope, { ...labels, messageId, ts: Date.now() });
+    return messageIds;
+  };
+
+  // Jumlah pesan setelah posisi baca (semua pesan kalau belum ada posisi)
+  const countUnread = async (scope, position) => {
+    const unread = await messageStore.countAfter(scope, position?.messageId ?? null);
+    // Posisi baca sudah terpotong historyLimit: semua pesan tersisa belum dibaca
+    return unread ?? messageStore.countAfter(scope, null);
+  };
+
+  // Jumlah pesan belum dibaca per room, per user private (1:1) dan per percakapan
+  const getUnreadCounts = async (userId) => {
+    const positions = await readState.all(userId);
+    const counts = { rooms: {}, private: {}, conversations: {} };
+
+    for (const [scope, position] of Object.entries(positions)) {
+      if (!position.room && !position.withUserId && !position.conversationId) continue;
+
+      const unread = await countUnread(scope, position);
+      if (position.conversationId) counts.conversations[position.conversationId] = unread;
+      if (position.withUserId) {
+        counts.private[position.withUserId] = unread;
+      } else if (position.room) {
+        counts.rooms[position.room] = unread;
+      }
+    }
+
+    return counts;
+  };
+
+  const emitUnreadCounts = async (socket) => {
+    try {
+      socket.emit("unread:counts", await getUnreadCounts(userIdOf(socket)));
+    } catch (error) {
+      socket.logger.error("Failed to compute unread counts", { error: error.message });
+    }
+  };
 
   // event dasar
   nsp.on("connection", (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    // Logger per socket; userId dibaca saat log ditulis karena bisa berubah setelah user:join
+    socket.logger = log.child(() => ({ socketId: socket.id, userId: socket.user?.id }));
+    socket.logger.debug("User connected", { ip: socket.handshake.address });
+
+    // Id dari onAuth (socket.user) selalu diutamakan daripada payload user:join
+    const authUserId = socket.user?.id != null ? String(socket.user.id) : null;
+    // Role hanya dipercaya dari onAuth, bukan dari payload user:join
+    const authUser = socket.user || null;
+    const role = globalRoleOf(authUser) ?? defaultRole;
+    const actor = () => ({ ...socket.user, id: userIdOf(socket), role });
+    // Private message dan percakapan dialamatkan ke id user (onAuth / user:join), bukan socket id
+    const identifiedActor = () => {
+      if (!socket.user) throw new ChatError("not_identified", "Join with user:join before using private messages", 401);
+      return actor();
+    };
+    socket.join(userRoom(userIdOf(socket)));
+    socket.data.userId = userIdOf(socket);
+    socket.data.ip = socket.handshake.address;
+
+    if (enableReadReceipts && authUserId) emitUnreadCounts(socket);
+
+    // Metrik: event masuk (nama event tanpa handler jadi "unknown" supaya series terbatas),
+    // durasi sampai ack dan event yang dijawab dengan error (lewat ack atau event "error")
+    if (chatMetrics) {
+      chatMetrics.connections.inc();
+
+      socket.use((packet, next) => {
+        const event = socket.listenerCount(packet[0]) > 0 ? packet[0] : "unknown";
+        chatMetrics.events.inc({ event });
+
+        const index = packet.findIndex((arg, position) => position > 0 && typeof arg === "function");
+        if (index !== -1) {
+          const ack = packet[index];
+          const stopTimer = chatMetrics.eventDuration.startTimer({ event });
+          packet[index] = (response, ...rest) => {
+            stopTimer();
+            if (response?.ok === false) chatMetrics.rejected.inc({ event, code: response.error?.code });
+            return ack(response, ...rest);
+          };
+        }
+        next();
+      });
+
+      socket.onAnyOutgoing((event, data) => {
+        if (event === "error") chatMetrics.rejected.inc({ event: data?.event, code: data?.code });
+      });
+    }
+
+    // Redis putus (redisUnavailable "fail"): event ditolak, bukan menunggu Redis tanpa batas
+    socket.use(([event, payload, ...args], next) => {
+      if (!rejectsWhileDown()) return next();
+
+      const ack = [payload, ...args].find((arg) => typeof arg === "function");
+      sendError(socket, ack, event, "unavailable", "Chat backend is unavailable, try again later");
+    });
+
+    // Validasi payload sebelum handler jalan; payload tidak valid tidak diproses sama sekali
+    socket.use((packet, next) => {
+      const schema = schemas[packet[0]];
+      if (!schema) return next();
+
+      // Event dengan payload opsional: tanpa payload, null, atau ack di posisi payload jadi default
+      if (schema.default !== undefined && (packet[1] == null || typeof packet[1] === "function")) {
+        packet.splice(1, typeof packet[1] === "function" ? 0 : 1, structuredClone(schema.default));
+      }
+      const [event, payload, ...args] = packet;
+
+      const error = validatePayload(schema, payload);
+      if (!error) return next();
+
+      const ack = args.find((arg) => typeof arg === "function") ??
+        (typeof payload === "function" ? payload : undefined);
+      sendError(socket, ack, event, "invalid_payload", error.message, { path: error.path });
+    });
+
+    // Rate limit sebelum handler jalan; kalau Redis gagal, event tetap diproses
+    if (rateLimitRules) {
+      socket.use(async ([event, payload, ...args], next) => {
+        const rule = rateLimitRules[event];
+        if (!rule) return next();
+
+        const room = typeof payload === "string" ? payload : payload?.room;
+        let retryAfter;
+        try {
+          retryAfter = await consumeRateLimit(event, rule, userIdOf(socket), room);
+        } catch (error) {
+          socket.logger.error("Failed to check rate limit", { event, room, error: error.message });
+          return next();
+        }
+        if (retryAfter === 0) return next();
+
+        chatMetrics?.rateLimited.inc({ event });
+        const ack = [payload, ...args].find((arg) => typeof arg === "function");
+        sendError(socket, ack, event, "rate_limited", "Too many requests, slow down", { retryAfter });
+        handleRateLimitViolation(userIdOf(socket)).catch((error) => {
+          socket.logger.error("Failed to auto-mute user", { error: error.message });
+        });
+      });
+    }
 
     // User management
-    socket.on("user:join", (userData) => {
-      const user = {
-        id: socket.id,
-        ...userData,
+    socket.on("user:join", async (userData) => {
+      const previousUserId = socket.user ? userIdOf(socket) : null;
+      const userId = authUserId ?? (userData.id != null ? String(userData.id) : socket.id);
+
+      // Tanpa onAuth, ban namespace untuk id dari payload baru bisa dicek di sini
+      if (!authUserId) {
+        try {
+          await assertNotBanned({ userId, room: null });
+        } catch (error) {
+          sendFailure(socket, null, "user:join", error);
+          socket.disconnect(true);
+          return;
+        }
+      }
+
+      // Hanya field profil yang diizinkan schema, id/role tidak bisa diatur dari payload
+      const { name, email, status, avatar, meta } = userData;
+      const user = JSON.parse(JSON.stringify({
+        id: userId,
+        name,
+        email,
+        status,
+        avatar,
+        meta,
         connectedAt: Date.now(),
         lastSeen: Date.now()
-      };
+      }));
       
-      activeUsers.set(socket.id, user);
       socket.user = user;
+      socket.data.userId = userId;
+
+      // Pindah room user kalau socket ini join ulang dengan id berbeda
+      if (previousUserId !== userId) {
+        socket.leave(userRoom(previousUserId ?? socket.id));
+        socket.join(userRoom(userId));
+      }
+
+      try {
+        if (previousUserId && previousUserId !== userId) {
+          await presence.remove(socket.id);
+        }
+
+        const { first } = await presence.add(socket.id, user);
+
+        // Broadcast user joined (hanya koneksi pertama user di cluster)
+        if (first) {
+          socket.broadcast.emit("user:joined", user);
+          emitWebhook("user.joined", user);
+        }
+
+        // Send current active users to new user
+        socket.emit("users:list", await presence.list());
+      } catch (error) {
+        socket.logger.error("Failed to register presence", { error: error.message });
+        sendError(socket, null, "user:join", "join_failed", "Failed to join");
+        return;
+      }
+
+      // Private message yang masuk selama user offline
+      if (offlineQueue) {
+        trackWrite(flushOfflineQueue(userId)).catch((error) => {
+          socket.logger.error("Failed to flush offline messages", { error: error.message });
+        });
+      }
       
-      // Broadcast user joined
-      socket.broadcast.emit("user:joined", user);
-      
-      // Send current active users to new user
-      socket.emit("users:list", Array.from(activeUsers.values()));
-      
-      console.log(`User joined: ${userData.name || socket.id}`);
+      if (enableReadReceipts && !authUserId) emitUnreadCounts(socket);
+
+      socket.logger.debug("User joined", { userName: userData.name });
     });
 
     // join/leave room
-    socket.on("join", (room) => {
+    socket.on("join", async (room) => {
+      try {
+        assertRoomName(room);
+        // Join tidak mengubah membership: member hanya lewat createRoom / room:invite
+        await assertRoomAccess(room, actor(), "room:join");
+        await assertNotBanned({ userId: userIdOf(socket), ip: socket.data.ip, room });
+      } catch (error) {
+        sendFailure(socket, null, "join", error);
+        return;
+      }
+
       socket.join(room);
       socket.emit("room:joined", room);
+      socket.logger.debug("User joined room", { room });
+
+      if (enableReadReceipts && socket.user) {
+        trackRoomRead(userIdOf(socket), room);
+      }
       socket.to(room).emit("user:joined_room", { 
-        userId: socket.id, 
+        userId: userIdOf(socket), 
         userName: socket.user?.name || socket.id,
         room 
       });
     });
 
     socket.on("leave", (room) => {
+      typing.leave(socket.id, room).forEach((data) => emitTyping("typing:stop", data));
       socket.leave(room);
       socket.emit("room:left", room);
+      socket.logger.debug("User left room", { room });
       socket.to(room).emit("user:left_room", { 
-        userId: socket.id, 
+        userId: userIdOf(socket), 
         userName: socket.user?.name || socket.id,
         room 
       });
     });
 
     // pesan ke room tertentu atau global
-    socket.on("message", ({ room, text, meta, replyTo }) => {
-      const message = {
-        id: `${socket.id}-${Date.now()}`,
-        user: socket.user || { id: socket.id, name: socket.id },
-        text,
-        meta,
-        replyTo,
-        room,
-        ts: Date.now(),
-        readBy: [socket.id]
-      };
+    socket.on("message", async ({ room, text, meta, attachments, replyTo, clientMessageId }, ack) => {
+      let result;
+      try {
+        result = await saveRoomMessage({ room, text, meta, attachments, replyTo, clientMessageId }, actor(), {
+          user: socket.user || { id: socket.id, name: socket.id },
+          ip: socket.data.ip,
+          source: "socket"
+        });
+      } catch (error) {
+        sendFailure(socket, ack, "message", error);
+        return;
+      }
 
-      if (room) {
-        nsp.to(room).emit("message", message);
-      } else {
-        socket.broadcast.emit("message", message);
+      const { message, duplicate } = result;
+      if (typeof ack === "function") ack({ ok: true, message, duplicate });
+
+      // Retry setelah reconnect: jangan broadcast ulang
+      if (duplicate) return;
+
+      publishRoomMessage(result, socket);
+
+      // Pesan sendiri otomatis terbaca
+      if (enableReadReceipts && room && socket.user) {
+        saveReadPosition("set", userIdOf(socket), roomScope(room), { messageId: message.id, room });
       }
 
       // Update last seen
       if (socket.user) {
         socket.user.lastSeen = Date.now();
-        activeUsers.set(socket.id, socket.user);
+        touchPresence(socket.user.id, { lastSeen: socket.user.lastSeen });
       }
     });
 
     // Typing indicators
     if (enableTyping) {
-      socket.on("typing:start", ({ room }) => {
-        const typingData = {
-          userId: socket.id,
-          userName: socket.user?.name || socket.id,
-          room,
-          ts: Date.now()
-        };
-        
-        if (room) {
-          socket.to(room).emit("typing:start", typingData);
-        } else {
-          socket.broadcast.emit("typing:start", typingData);
+      socket.on("typing:start", async ({ room }) => {
+        try {
+          await assertRoomAccess(room, actor(), "room:write");
+          await assertNotBanned({ userId: userIdOf(socket), ip: socket.data.ip, room });
+          await assertNotMuted(userIdOf(socket), room);
+        } catch (error) {
+          sendFailure(socket, null, "typing:start", error);
+          return;
         }
-      });
 
-      socket.on("typing:stop", ({ room }) => {
-        const typingData = {
-          userId: socket.id,
+        // null berarti typing:start yang sama baru saja di-broadcast (throttle)
+        const typingData = typing.start({
+          socketId: socket.id,
+          userId: userIdOf(socket),
           userName: socket.user?.name || socket.id,
           room
-        };
-        
-        if (room) {
-          socket.to(room).emit("typing:stop", typingData);
-        } else {
-          socket.broadcast.emit("typing:stop", typingData);
-        }
+        });
+
+        if (typingData) emitTyping("typing:start", typingData);
+      });
+
+      socket.on("typing:stop", ({ room }) => {
+        const typingData = typing.stop({ userId: userIdOf(socket), room });
+        if (typingData) emitTyping("typing:stop", typingData);
       });
     }
 
+    // Konfirmasi pesan sudah sampai di client penerima (berbeda dengan message:read)
+    socket.on("message:delivered", async ({ messageId }) => {
+      const userId = userIdOf(socket);
+
+      try {
+        const message = await messageStore.get(messageId);
+        const isRecipient = message && (message.type === "private"
+          ? message.from?.id !== userId && participantsOf(message).includes(userId)
+          : !message.room || socket.rooms.has(message.room));
+        if (!isRecipient) {
+          sendError(socket, null, "message:delivered", "not_found", "Message not found");
+          return;
+        }
+
+        let changed = false;
+        await messageStore.update(messageId, (current) => {
+          changed = !current.deliveredTo?.includes(userId);
+          return changed ? { ...current, deliveredTo: [...(current.deliveredTo || []), userId] } : null;
+        });
+
+        const authorId = message.type === "private" ? message.from?.id : message.user?.id;
+        if (!changed || !authorId || authorId === userId) return;
+
+        nsp.to(userRoom(authorId)).emit("message:delivered", {
+          messageId,
+          userId,
+          userName: socket.user?.name || socket.id,
+          room: message.room,
+          ts: Date.now()
+        });
+      } catch (error) {
+        socket.logger.error("Failed to mark message as delivered", { messageId, error: error.message });
+        sendError(socket, null, "message:delivered", "store_failed", "Failed to mark message as delivered");
+      }
+    });
+
     // Read receipts
     if (enableReadReceipts) {
-      socket.on("message:read", ({ messageId, room }) => {
+      socket.on("message:read", async ({ messageId, room, withUserId, conversationId } = {}, ack) => {
+        const userId = userIdOf(socket);
+
+        // Sama seperti history:fetch: hanya yang boleh membaca room yang bisa menandai pesannya terbaca
+        let conversation;
+        try {
+          conversation = conversationId ? await getConversation(conversationId, actor()) : null;
+          if (!conversation && !withUserId) await assertRoomAccess(room, actor(), "room:read");
+        } catch (error) {
+          sendFailure(socket, ack, "message:read", error);
+          return;
+        }
+
+        let scope = roomScope(room);
+        let labels = { room };
+        if (conversation) {
+          scope = conversationScope(conversation);
+          labels = conversationLabels(conversation, userId);
+        } else if (withUserId) {
+          scope = privateScope(userId, withUserId);
+          labels = { withUserId, conversationId: conversationKeyOf([userId, withUserId]).id };
+        }
+
+        let messageIds;
+        try {
+          messageIds = await markRead(userId, scope, messageId, labels);
+        } catch (error) {
+          socket.logger.error("Failed to mark message as read", { messageId, error: error.message });
+          sendError(socket, ack, "message:read", "read_failed", "Failed to mark message as read");
+          return;
+        }
+
+        if (typeof ack === "function") ack({ ok: true, messageIds: messageIds || [] });
+
+        // Posisi baca tidak maju (atau pesan tidak dikenal), tidak perlu broadcast
+        if (!messageIds) return;
+
         const readData = {
           messageId,
-          userId: socket.id,
+          messageIds,
+          userId,
           userName: socket.user?.name || socket.id,
           room,
+          withUserId: labels.withUserId,
+          conversationId: labels.conversationId,
           ts: Date.now()
         };
         
-        if (room) {
+        if (conversation) {
+          nsp.to(conversation.members.map(userRoom)).emit("message:read", readData);
+        } else if (withUserId) {
+          nsp.to(userRoom(withUserId)).to(userRoom(userId)).emit("message:read", readData);
+        } else if (room) {
           nsp.to(room).emit("message:read", readData);
         } else {
-          socket.broadcast.emit("message:read", readData);
+          socket.broadcast.emit("message:read", readData);
+        }
+      });
+    }
+
+    // User status
+    socket.on("user:status", (status) => {
+      if (socket.user) {
+        socket.user.status = status;
+        socket.user.lastSeen = Date.now();
+        touchPresence(socket.user.id, { status, lastSeen: socket.user.lastSeen });
+        socket.broadcast.emit("user:status_changed", {
+          userId: userIdOf(socket),
+          status,
+          userName: socket.user.name
+        });
+      }
+    });
+
+    // Private messages (ke percakapan, atau toUserId untuk percakapan 1:1)
+    socket.on("message:private", async ({ conversationId, toUserId, text, meta, attachments, clientMessageId }, ack) => {
+      let result;
+      try {
+        const sender = identifiedActor();
+        result = await savePrivateMessage({ conversationId, toUserId, text, meta, attachments, clientMessageId }, sender, {
+          user: socket.user,
+          source: "socket"
+        });
+      } catch (error) {
+        sendFailure(socket, ack, "message:private", error);
+        return;
+      }
+
+      const { message, duplicate, context } = result;
+      if (duplicate) {
+        if (typeof ack === "function") ack({ ok: true, message, duplicate });
+        return;
+      }
+
+      const { status, queued } = await routePrivateMessage(message);
+      if (typeof ack === "function") ack({ ok: true, message, duplicate, status });
+      publishPrivateMessage(message, context, queued);
+    });
+
+    // Percakapan private: buka (1:1 atau grup), daftar, dan history
+    socket.on("conversation:open", async ({ userIds, name }, ack) => {
+      try {
+        const result = await openConversation({ members: userIds, name }, identifiedActor(), { includeActor: true });
+        if (typeof ack === "function") ack({ ok: true, ...result });
+      } catch (error) {
+        sendFailure(socket, ack, "conversation:open", error);
+      }
+    });
+
+    socket.on("conversation:list", async ({ limit } = {}, ack) => {
+      try {
+        const conversations = await listConversations(identifiedActor().id, { limit });
+        if (typeof ack === "function") {
+          ack({ ok: true, conversations });
+        } else {
+          socket.emit("conversation:list", { conversations });
+        }
+      } catch (error) {
+        sendFailure(socket, ack, "conversation:list", error);
+      }
+    });
+
+    socket.on("conversation:history", async ({ conversationId, before, after, limit }, ack) => {
+      try {
+        const result = await getConversationHistory(conversationId, { before, after, limit }, identifiedActor());
+        if (typeof ack === "function") {
+          ack({ ok: true, ...result });
+        } else {
+          socket.emit("conversation:messages", result);
+        }
+      } catch (error) {
+        sendFailure(socket, ack, "conversation:history", error);
+      }
+    });
+
+    // Edit / delete pesan (author atau moderator)
+    socket.on("message:edit", async ({ messageId, text, meta }, ack) => {
+      try {
+        const message = await editMessage(messageId, { text, meta }, actor(), "socket");
+        if (typeof ack === "function") ack({ ok: true, message });
+      } catch (error) {
+        sendFailure(socket, ack, "message:edit", error);
+      }
+    });
+
+    socket.on("message:delete", async ({ messageId }, ack) => {
+      try {
+        await deleteMessage(messageId, actor());
+        if (typeof ack === "function") ack({ ok: true, messageId });
+      } catch (error) {
+        sendFailure(socket, ack, "message:delete", error);
+      }
+    });
+
+    // Reaksi emoji
+    socket.on("message:react", async ({ messageId, emoji }, ack) => {
+      try {
+        const message = await updateReaction(messageId, emoji, actor(), "add");
+        if (typeof ack === "function") ack({ ok: true, messageId, reactions: message.reactions || {} });
+      } catch (error) {
+        sendFailure(socket, ack, "message:react", error);
+      }
+    });
+
+    socket.on("message:unreact", async ({ messageId, emoji }, ack) => {
+      try {
+        const message = await updateReaction(messageId, emoji, actor(), "remove");
+        if (typeof ack === "function") ack({ ok: true, messageId, reactions: message.reactions || {} });
+      } catch (error) {
+        sendFailure(socket, ack, "message:unreact", error);
+      }
+    });
+
+    // Thread: fetch reply, follow/unfollow tanpa harus join room
+    socket.on("thread:fetch", async ({ messageId, before, after, limit }, ack) => {
+      try {
+        const result = await getThread(messageId, { before, after, limit }, actor());
+        if (typeof ack === "function") {
+          ack({ ok: true, ...result });
+        } else {
+          socket.emit("thread:messages", result);
+        }
+      } catch (error) {
+        sendFailure(socket, ack, "thread:fetch", error);
+      }
+    });
+
+    socket.on("thread:follow", async ({ messageId }, ack) => {
+      try {
+        const root = await getVisibleMessage(messageId, actor());
+        const threadId = root.threadId || root.id;
+        socket.join(threadRoom(threadId));
+        if (typeof ack === "function") ack({ ok: true, threadId });
+      } catch (error) {
+        sendFailure(socket, ack, "thread:follow", error);
+      }
+    });
+
+    // Sama seperti thread:follow, id reply diarahkan ke root thread; tanpa cek akses supaya
+    // user yang sudah kehilangan akses tetap bisa berhenti mengikuti
+    socket.on("thread:unfollow", async ({ messageId }, ack) => {
+      try {
+        const message = messageId ? await messageStore.get(messageId) : null;
+        const threadId = message ? message.threadId || message.id : messageId;
+        socket.leave(threadRoom(threadId));
+        if (typeof ack === "function") ack({ ok: true, threadId });
+      } catch (error) {
+        sendFailure(socket, ack, "thread:unfollow", error);
+      }
+    });
+
+    socket.on("message:edits", async ({ messageId }, ack) => {
+      try {
+        const result = await getMessageEdits(messageId, actor());
+        if (typeof ack === "function") {
+          ack({ ok: true, ...result });
+        } else {
+          socket.emit("message:edits", result);
+        }
+      } catch (error) {
+        sendFailure(socket, ack, "message:edits", error);
+      }
+    });
+
+    // URL download attachment (hanya kalau user boleh membaca pesan di tujuan attachment)
+    socket.on("attachment:url", async ({ attachmentId }, ack) => {
+      try {
+        const result = await getAttachmentUrl(attachmentId, actor());
+        if (typeof ack === "function") ack({ ok: true, ...result });
+      } catch (error) {
+        sendFailure(socket, ack, "attachment:url", error);
+      }
+    });
+
+    // History pesan room, private atau percakapan (cursor pagination)
+    socket.on("history:fetch", async ({ room, withUserId, conversationId, before, after, limit } = {}, ack) => {
+      try {
+        let scope;
+        if (conversationId) {
+          scope = conversationScope(await getConversation(conversationId, actor()));
+        } else if (withUserId) {
+          scope = privateScope(userIdOf(socket), withUserId);
+        } else {
+          await assertRoomAccess(room, actor(), "room:read");
+          scope = roomScope(room);
         }
-      });
-    }
 
-    // User status
-    socket.on("user:status", (status) => {
-      if (socket.user) {
-        socket.user.status = status;
-        socket.user.lastSeen = Date.now();
-        activeUsers.set(socket.id, socket.user);
-        socket.broadcast.emit("user:status_changed", {
-          userId: socket.id,
-          status,
-          userName: socket.user.name
-        });
+        const page = await messageStore.list(scope, { before, after, limit });
+        const result = { room, withUserId, conversationId, ...page, messages: page.messages.map(withReactionSummary) };
+        if (typeof ack === "function") {
+          ack({ ok: true, ...result });
+        } else {
+          socket.emit("history:messages", result);
+        }
+      } catch (error) {
+        sendFailure(socket, ack, "history:fetch", error);
       }
     });
 
-    // Private messages
-    socket.on("message:private", ({ toUserId, text, meta }) => {
-      const message = {
-        id: `${socket.id}-${Date.now()}`,
-        from: socket.user || { id: socket.id, name: socket.id },
-        to: toUserId,
-        text,
-        meta,
-        ts: Date.now(),
-        type: 'private'
-      };
+    // Room management
+    socket.on("room:create", async ({ roomName, isPrivate = false, description, members }, ack) => {
+      try {
+        const room = await createRoom({ name: roomName, isPrivate, description, members }, actor());
+        socket.join(roomName);
+        if (typeof ack === "function") ack({ ok: true, room });
+      } catch (error) {
+        sendFailure(socket, ack, "room:create", error);
+      }
+    });
 
-      // Send to recipient
-      socket.to(toUserId).emit("message:private", message);
-      // Send back to sender for confirmation
-      socket.emit("message:private", message);
+    socket.on("room:invite", async ({ room, userId }, ack) => {
+      try {
+        const updated = await inviteToRoom(room, userId, actor());
+        if (typeof ack === "function") ack({ ok: true, room: updated });
+      } catch (error) {
+        sendFailure(socket, ack, "room:invite", error);
+      }
     });
 
-    // Room management
-    socket.on("room:create", ({ roomName, isPrivate = false }) => {
-      const roomData = {
-        name: roomName,
-        id: roomName,
-        createdBy: socket.id,
-        isPrivate,
-        createdAt: Date.now(),
-        members: [socket.id]
-      };
-      
-      socket.join(roomName);
-      socket.emit("room:created", roomData);
-      socket.broadcast.emit("room:created", roomData);
+    socket.on("room:kick", async ({ room, userId }, ack) => {
+      try {
+        const updated = await kickFromRoom(room, userId, actor());
+        if (typeof ack === "function") ack({ ok: true, room: updated });
+      } catch (error) {
+        sendFailure(socket, ack, "room:kick", error);
+      }
+    });
+
+    socket.on("room:transfer", async ({ room, userId }, ack) => {
+      try {
+        const updated = await transferRoomOwnership(room, userId, actor());
+        if (typeof ack === "function") ack({ ok: true, room: updated });
+      } catch (error) {
+        sendFailure(socket, ack, "room:transfer", error);
+      }
+    });
+
+    socket.on("room:role", async ({ room, userId, role: roomRole }, ack) => {
+      try {
+        const updated = await setRoomRole(room, userId, roomRole, actor());
+        if (typeof ack === "function") ack({ ok: true, room: updated });
+      } catch (error) {
+        sendFailure(socket, ack, "room:role", error);
+      }
+    });
+
+    // Moderasi (moderator room untuk aksi di room, moderator global untuk namespace)
+    const moderationHandlers = {
+      "moderation:mute": async (payload) => ({ mute: await muteUser(payload, actor()) }),
+      "moderation:unmute": async (payload) => ({ removed: await unmuteUser(payload, actor()) }),
+      "moderation:kick": async (payload) => ({ entry: await kickUser(payload, actor()) }),
+      "moderation:ban": async (payload) => ({ ban: await banUser(payload, actor()) }),
+      "moderation:unban": async (payload) => ({ removed: await unbanUser(payload, actor()) }),
+      "moderation:slowmode": async ({ room, interval }) => setSlowMode(room, interval, actor()),
+      "moderation:state": async (payload) => getModerationState(payload, actor()),
+      "moderation:audit": async (payload) => ({ entries: await getAuditLog(payload, actor()) })
+    };
+
+    Object.entries(moderationHandlers).forEach(([event, handler]) => {
+      socket.on(event, async (payload = {}, ack) => {
+        try {
+          const result = await handler(payload);
+          if (typeof ack === "function") ack({ ok: true, ...result });
+        } catch (error) {
+          sendFailure(socket, ack, event, error);
+        }
+      });
     });
 
     // Custom event handler
     onConnect?.(socket, nsp);
 
-    // Disconnect handling
-    socket.on("disconnect", (reason) => {
-      console.log(`User disconnected: ${socket.id}, reason: ${reason}`);
-      
-      // Remove from active users
-      const user = activeUsers.get(socket.id);
-      if (user) {
-        activeUsers.delete(socket.id);
-        socket.broadcast.emit("user:left", {
-          userId: socket.id,
-          userName: user.name,
-          reason
-        });
-      }
+    // Disconnect handling (ditunggu oleh close() lewat trackWrite)
+    const handleDisconnect = async (reason) => {
+      socket.logger.debug("User disconnected", { reason });
+      chatMetrics?.disconnects.inc({ reason });
 
       // Clear typing indicators
-      typingUsers.delete(socket.id);
+      typing.disconnect(socket.id).forEach((data) => emitTyping("typing:stop", data));
 
       onDisconnect?.(socket, nsp);
-    });
+
+      // Remove from active users (user:left hanya di koneksi terakhir user di cluster)
+      try {
+        const removed = await presence.remove(socket.id);
+        if (removed?.last) {
+          const data = { userId: removed.user?.id || socket.id, userName: removed.user?.name, reason };
+          socket.broadcast.emit("user:left", data);
+          emitWebhook("user.left", data);
+        }
+      } catch (error) {
+        socket.logger.error("Failed to remove presence", { error: error.message });
+      }
+    };
+    socket.on("disconnect", (reason) => trackWrite(handleDisconnect(reason)));
   });
 
   // Utility functions untuk tim backend
   const utils = {
-    // Get all active users
-    getActiveUsers: () => Array.from(activeUsers.values()),
+    // Get all active users (seluruh cluster)
+    getActiveUsers: () => presence.list(),
     
-    // Get user by socket id
-    getUser: (socketId) => activeUsers.get(socketId),
+    // Get user by id (seluruh cluster)
+    getUser: (userId) => presence.get(userId),
     
     // Send message to specific room
     sendToRoom: (room, event, data) => nsp.to(room).emit(event, data),
     
-    // Send message to specific user
-    sendToUser: (userId, event, data) => nsp.to(userId).emit(event, data),
+    // Send message to specific user (semua socket/tab milik user)
+    sendToUser: (userId, event, data) => nsp.to(userRoom(userId)).emit(event, data),
     
     // Broadcast to all users
     broadcast: (event, data) => nsp.emit(event, data),
     
+    // Status node: { status, ready, backend, nodeId, redis, adapter }
+    getHealth: () => getHealth(),
+
+    // Metrik node ini: snapshot JSON, atau teks Prometheus dengan { format: "prometheus" }
+    getMetrics: ({ format = "json" } = {}) => {
+      if (!chatMetrics) throw new ChatError("metrics_disabled", "Metrics are not enabled", 404);
+      return format === "prometheus" ? chatMetrics.registry.render() : chatMetrics.registry.toJSON();
+    },
+
     // Get rooms info
     getRooms: () => {
       if (!nsp.sockets || !nsp.sockets.adapter) {
-        console.warn('Socket.IO adapter not ready, returning empty Map');
+        log.debug("Socket.IO adapter not ready, returning empty Map");
         return new Map();
       }
       return nsp.sockets.adapter.rooms || new Map();
     },
     
+    // Get users yang sedang typing di room (seluruh cluster)
+    getTypingUsers: (room) => typing.list(room),
+
     // Get users in room
     getUsersInRoom: (room) => {
       if (!nsp.sockets || !nsp.sockets.adapter) {
@@ -290,7 +2540,88 @@ async function createChatServer(httpServer, opts = {}) {
       const rooms = nsp.sockets.adapter.rooms || new Map();
       const roomSockets = rooms.get(room);
       return roomSockets ? Array.from(roomSockets) : [];
-    }
+    },
+
+    // History room; dengan actor, hanya yang boleh membaca room (room:read)
+    getRoomHistory: async (room, query = {}, actor = API_ACTOR) => {
+      await assertRoomAccess(room, actor, "room:read");
+      const page = await messageStore.list(roomScope(room), query);
+      return { ...page, messages: page.messages.map(withReactionSummary) };
+    },
+
+    // Jumlah private message yang mengantri untuk user offline
+    getQueuedMessageCount: async (userId) => (offlineQueue ? offlineQueue.size(userId) : 0),
+
+    // Get unread counts of a user ({ rooms, private, conversations })
+    getUnreadCounts: (userId) => getUnreadCounts(userId),
+
+    // Edit / delete message atas nama backend (default: API_ACTOR, role admin)
+    editMessage: (messageId, patch, actor = API_ACTOR) => editMessage(messageId, patch, actor),
+    deleteMessage: (messageId, actor = API_ACTOR) => deleteMessage(messageId, actor),
+    getMessageEdits: (messageId, actor = API_ACTOR) => getMessageEdits(messageId, actor),
+
+    // Room registry atas nama backend (default: API_ACTOR, role admin)
+    listRooms: async (actor = API_ACTOR) => {
+      const rooms = await roomRegistry.list();
+      const readable = await Promise.all(rooms.map((room) => can(actor, "room:read", roomResource(room.name, room))));
+      return rooms.filter((room, index) => readable[index]);
+    },
+    getRoomInfo: async (name, actor = API_ACTOR) => {
+      const room = await roomRegistry.get(name);
+      if (room) await assertAllowed(actor, "room:read", roomResource(name, room));
+      return room;
+    },
+    createRoom: (data, actor = API_ACTOR) => createRoom(data, actor),
+    updateRoom: (name, patch, actor = API_ACTOR) => updateRoom(name, patch, actor),
+    deleteRoom: (name, actor = API_ACTOR) => deleteRoom(name, actor),
+    inviteToRoom: (name, userId, actor = API_ACTOR) => inviteToRoom(name, userId, actor),
+    kickFromRoom: (name, userId, actor = API_ACTOR) => kickFromRoom(name, userId, actor),
+    transferRoomOwnership: (name, userId, actor = API_ACTOR) => transferRoomOwnership(name, userId, actor),
+    setRoomRole: (name, userId, role, actor = API_ACTOR) => setRoomRole(name, userId, role, actor),
+
+    // Moderation atas nama backend (default: API_ACTOR, role admin)
+    muteUser: (options, actor = API_ACTOR) => muteUser(options, actor),
+    unmuteUser: (options, actor = API_ACTOR) => unmuteUser(options, actor),
+    kickUser: (options, actor = API_ACTOR) => kickUser(options, actor),
+    banUser: (options, actor = API_ACTOR) => banUser(options, actor),
+    unbanUser: (options, actor = API_ACTOR) => unbanUser(options, actor),
+    setSlowMode: (room, interval, actor = API_ACTOR) => setSlowMode(room, interval, actor),
+    getModerationState: (query = {}, actor = API_ACTOR) => getModerationState(query, actor),
+    getAuditLog: (query = {}, actor = API_ACTOR) => getAuditLog(query, actor),
+
+    // Kirim pesan chat (disimpan, lewat hook beforeMessage/afterMessage) atas nama backend
+    sendMessage: (data, actor = API_ACTOR) => postMessage("message", data, actor),
+    sendPrivateMessage: (data, actor = API_ACTOR) => postMessage("message:private", data, actor),
+
+    // Percakapan private atas nama backend (default: API_ACTOR, role admin, tidak ikut jadi member)
+    openConversation: (data, actor = API_ACTOR) => openConversation(data, actor),
+    getConversation: (conversationId, actor = API_ACTOR) => getConversation(conversationId, actor),
+    getConversationHistory: (conversationId, query = {}, actor = API_ACTOR) =>
+      getConversationHistory(conversationId, query, actor),
+    // Percakapan user (terbaru dulu) dengan lastMessage dan unread
+    listConversations: (userId, query = {}) => listConversations(userId, query),
+
+    // Webhook keluar atas nama backend (default: API_ACTOR, role admin)
+    registerWebhook: (data, actor = API_ACTOR) => registerWebhook(data, actor),
+    listWebhooks: (actor = API_ACTOR) => listWebhooks(actor),
+    deleteWebhook: (webhookId, actor = API_ACTOR) => deleteWebhook(webhookId, actor),
+    testWebhook: (webhookId, actor = API_ACTOR) => testWebhook(webhookId, actor),
+    getWebhookDeadLetters: (query = {}, actor = API_ACTOR) => getWebhookDeadLetters(query, actor),
+
+    // Attachment atas nama backend (default: API_ACTOR, role admin)
+    uploadAttachment: (file, actor = API_ACTOR) => uploadAttachment(file, actor),
+    getAttachmentUrl: (attachmentId, actor = API_ACTOR) => getAttachmentUrl(attachmentId, actor),
+    // Buka file dari URL download bertanda tangan -> { stream, mimeType, size, contentDisposition, expiresAt }
+    openAttachment: (attachmentId, query) => openAttachment(attachmentId, query),
+
+    // Get a thread (root message + replies, cursor pagination)
+    getThread: (messageId, query = {}, actor = API_ACTOR) => getThread(messageId, query, actor),
+
+    // Cek permission (hook authorize + kebijakan default) -> Promise<boolean>
+    can: (user, action, resource) => can(user, action, resource),
+
+    // Actor untuk user dari onAuth / token REST: role dari user.role(s), fallback defaultRole
+    actorFor: (user) => ({ ...user, id: String(user.id), role: globalRoleOf(user) ?? defaultRole })
   };
 
   // Setup REST API jika di-enable
@@ -298,12 +2629,64 @@ async function createChatServer(httpServer, opts = {}) {
   if (enableRestApi) {
     restApiRoutes = setupRestApiRoutes(expressApp || httpServer, utils, {
       prefix: restApiPrefix,
-      auth: restApiAuth,
-      cors: restApiCors
+      verifyToken: restApiVerifier,
+      cors: restApiCors,
+      attachments: attachmentConfig && { maxSize: attachmentConfig.maxSize },
+      webhooks: Boolean(webhookConfig),
+      rejectsWhileDown,
+      logger: log
     });
   }
 
-  return { io, pubClient, subClient, utils, restApiRoutes };
+  /**
+   * Shutdown bertahap node ini: tolak koneksi baru, kirim `server:shutdown` ke socket node ini,
+   * tunggu client pindah paling lama drainTimeout, putuskan sisa socket, tunggu tulisan, hook
+   * afterMessage dan percobaan pertama webhook yang tertunda, hapus presence node ini, tutup
+   * engine Socket.IO lalu Redis. HTTP server milik pemanggil tidak ditutup (panggil
+   * `server.close()` sendiri). Dipanggil berkali-kali mengembalikan promise yang sama.
+   * @param {Object} [options]
+   * @param {number} [options.drainTimeout] - lama menunggu client disconnect sendiri, dan lama
+   *   menunggu tulisan tertunda, dalam ms (default: 5000)
+   * @returns {Promise<void>}
+   */
+  const close = ({ drainTimeout = 5000 } = {}) => {
+    closePromise ??= (async () => {
+      lifecycle.emit("closing", { drainTimeout });
+      nsp.local.emit("server:shutdown", { nodeId: presence.nodeId, drainTimeout, ts: Date.now() });
+
+      const deadline = Date.now() + drainTimeout;
+      while (nsp.sockets.size > 0 && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+      nsp.local.disconnectSockets(true);
+      await flushWrites(drainTimeout);
+
+      // Koneksi node ini yang masih tercatat (mis. disconnect gagal dihapus) ikut dibersihkan
+      try {
+        const offline = await presence.close();
+        offline.forEach((user) => {
+          const data = { userId: user.id, userName: user.name, reason: "server shutdown" };
+          nsp.emit("user:left", data);
+          emitWebhook("user.left", data);
+        });
+        await flushWrites(drainTimeout);
+      } catch (error) {
+        log.error("Failed to remove presence", { error: error.message });
+      }
+
+      // io.close() ikut menutup httpServer; cukup tutup koneksi engine dan adapter Redis
+      io.engine.close();
+      await Promise.allSettled([...new Set([io.sockets, nsp])].map(async (namespace) => namespace.adapter.close()));
+      await Promise.all([pubClient, subClient].filter((client) => client?.isOpen).map((client) => client.quit()));
+      lifecycle.emit("closed");
+    })();
+    return closePromise;
+  };
+
+  // Listener "ready" dipasang setelah createChatServer selesai, jadi emit di tick berikutnya
+  setImmediate(() => lifecycle.emit("ready", { nodeId: presence.nodeId, backend }));
+
+  return Object.assign(lifecycle, { io, pubClient, subClient, utils, restApiRoutes, close });
 }
 
 /**
@@ -313,7 +2696,15 @@ async function createChatServer(httpServer, opts = {}) {
  * @param {Object} options - REST API options
  */
 function setupRestApiRoutes(serverOrApp, utils, options = {}) {
-  const { prefix = "/api", auth = false, cors = { origin: "*" } } = options;
+  const {
+    prefix = "/api",
+    verifyToken = null,
+    cors = { origin: "*" },
+    attachments = null,
+    webhooks = false,
+    rejectsWhileDown = () => false,
+    logger = createLogger()
+  } = options;
   
   // Determine if we have Express app or HTTP server
   let app = null;
@@ -348,19 +2739,36 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
   }
   
   if (!app) {
-    console.warn("Express app not found, REST API routes not set up");
-    console.warn("This might happen if Express app is not properly attached to the server");
+    logger.warn("Express app not found, REST API routes not set up (is the Express app attached to the server?)");
     return null;
   }
 
-  console.log("✅ Express app found, setting up REST API routes");
+  // Request id dari header X-Request-Id (atau dibuat baru), dikembalikan di response dan
+  // dipakai req.log supaya log satu request bisa dikorelasikan
+  app.use(prefix, (req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : createId();
+    req.log = logger.child({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+
+    const started = Date.now();
+    res.on('finish', () => {
+      req.log.debug("REST request", {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        duration: Date.now() - started
+      });
+    });
+    next();
+  });
 
   // CORS middleware untuk REST API
   if (cors.origin !== "*") {
     app.use((req, res, next) => {
       res.header('Access-Control-Allow-Origin', cors.origin);
       res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Request-Id');
       if (req.method === 'OPTIONS') {
         res.sendStatus(200);
       } else {
@@ -369,32 +2777,463 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
     });
   }
 
-  // Authentication middleware untuk REST API
-  const authenticateApi = (req, res, next) => {
-    if (!auth) return next();
-    
-    const token = req.headers.authorization?.replace('Bearer ', '');
+  // Authentication middleware untuk REST API: 401 kalau token tidak ada / tidak valid,
+  // 403 (requirePermission / utils) kalau token valid tapi tidak punya akses
+  const authenticateApi = async (req, res, next) => {
+    if (!verifyToken) return next();
+
+    const token = bearerToken(req.headers.authorization);
     if (!token) {
-      return res.status(401).json({ error: 'Token required' });
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Token required', code: 'token_required' });
+    }
+
+    try {
+      req.user = await verifyToken(token);
+    } catch (error) {
+      const code = error instanceof ChatError ? error.code : 'invalid_token';
+      res.set('WWW-Authenticate', `Bearer error="invalid_token"`);
+      return res.status(401).json({ error: error instanceof ChatError ? error.message : 'Invalid token', code });
     }
-    
-    // Implement your token validation here
-    // For demo purposes, we'll accept any token
-    req.user = { id: 'api-user', name: 'API User' };
     next();
   };
 
+  // ChatError -> status & kode, error lain -> 500 (dicatat dengan request id)
+  const sendApiError = (res, error, fallback) => {
+    if (error instanceof ChatError) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+    res.req.log.error(fallback, { error: error.message });
+    res.status(500).json({ error: fallback });
+  };
+
+  // Actor untuk request REST: user dari token, atau backend terpercaya kalau auth nonaktif
+  const apiActor = (req) => (req.user ? utils.actorFor(req.user) : API_ACTOR);
+
+  // Middleware permission untuk route yang tidak dicek di dalam utils
+  const requirePermission = (action, resourceOf = () => ({ type: "server" })) => async (req, res, next) => {
+    try {
+      if (await utils.can(apiActor(req), action, resourceOf(req))) return next();
+      res.status(403).json({ error: `Permission denied: ${action}`, code: 'forbidden' });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to check permission');
+    }
+  };
+
+  // Redis putus (redisUnavailable "fail"): 503 untuk semua route kecuali health / ready / metrics
+  app.use(prefix, (req, res, next) => {
+    if (['/health', '/ready', '/metrics'].includes(req.path) || !rejectsWhileDown()) return next();
+    res.set('Retry-After', '5');
+    res.status(503).json({ error: 'Chat backend is unavailable, try again later', code: 'unavailable' });
+  });
+
   // API Routes
-  app.get(`${prefix}/users`, authenticateApi, (req, res) => {
-    res.json({ users: utils.getActiveUsers() });
+  app.get(`${prefix}/users`, authenticateApi, requirePermission("server:read"), async (req, res) => {
+    try {
+      res.json({ users: await utils.getActiveUsers() });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch users');
+    }
   });
 
-  app.get(`${prefix}/rooms`, authenticateApi, (req, res) => {
-    const rooms = utils.getRooms();
-    res.json({ rooms: rooms ? Array.from(rooms.keys()) : [] });
+  app.get(`${prefix}/rooms`, authenticateApi, async (req, res) => {
+    try {
+      res.json({ rooms: await utils.listRooms(apiActor(req)) });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch rooms');
+    }
+  });
+
+  app.post(`${prefix}/rooms`, authenticateApi, async (req, res) => {
+    const { name, isPrivate, description, members, owner } = req.body || {};
+
+    try {
+      const room = await utils.createRoom({ name, isPrivate, description, members, owner }, apiActor(req));
+      res.status(201).json({ success: true, room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to create room');
+    }
+  });
+
+  app.get(`${prefix}/rooms/:room`, authenticateApi, async (req, res) => {
+    try {
+      const room = await utils.getRoomInfo(req.params.room, apiActor(req));
+      if (!room) return res.status(404).json({ error: 'Room not found', code: 'not_found' });
+      res.json({ room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch room');
+    }
+  });
+
+  app.put(`${prefix}/rooms/:room`, authenticateApi, async (req, res) => {
+    const { description, isPrivate, owner } = req.body || {};
+
+    try {
+      let room = await utils.updateRoom(req.params.room, { description, isPrivate }, apiActor(req));
+      if (owner && owner !== room.owner) {
+        room = await utils.transferRoomOwnership(req.params.room, owner, apiActor(req));
+      }
+      res.json({ success: true, room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to update room');
+    }
+  });
+
+  app.delete(`${prefix}/rooms/:room`, authenticateApi, async (req, res) => {
+    try {
+      await utils.deleteRoom(req.params.room, apiActor(req));
+      res.json({ success: true, room: req.params.room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to delete room');
+    }
+  });
+
+  app.post(`${prefix}/rooms/:room/members`, authenticateApi, async (req, res) => {
+    try {
+      const room = await utils.inviteToRoom(req.params.room, req.body?.userId, apiActor(req));
+      res.json({ success: true, room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to add member');
+    }
+  });
+
+  app.put(`${prefix}/rooms/:room/members/:userId`, authenticateApi, async (req, res) => {
+    try {
+      const room = await utils.setRoomRole(req.params.room, req.params.userId, req.body?.role, apiActor(req));
+      res.json({ success: true, room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to update member role');
+    }
+  });
+
+  app.delete(`${prefix}/rooms/:room/members/:userId`, authenticateApi, async (req, res) => {
+    try {
+      const room = await utils.kickFromRoom(req.params.room, req.params.userId, apiActor(req));
+      res.json({ success: true, room });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to remove member');
+    }
+  });
+
+  app.put(`${prefix}/rooms/:room/slowmode`, authenticateApi, async (req, res) => {
+    try {
+      res.json({ success: true, ...(await utils.setSlowMode(req.params.room, req.body?.interval, apiActor(req))) });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to update slow mode');
+    }
+  });
+
+  app.get(`${prefix}/rooms/:room/messages`, authenticateApi, async (req, res) => {
+    const { room } = req.params;
+    const { before, after, limit } = req.query;
+
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
+    try {
+      const page = await utils.getRoomHistory(room, { before, after, limit }, apiActor(req));
+      res.json({ room, ...page });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch messages');
+    }
+  });
+
+  // Pesan chat biasa (disimpan di history, lewat hook beforeMessage/afterMessage)
+  app.post(`${prefix}/rooms/:room/messages`, authenticateApi, async (req, res) => {
+    try {
+      const result = await utils.sendMessage({ ...req.body, room: req.params.room }, apiActor(req));
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to send message');
+    }
+  });
+
+  app.post(`${prefix}/users/:userId/messages`, authenticateApi, async (req, res) => {
+    try {
+      const { conversationId, ...body } = req.body || {};
+      const result = await utils.sendPrivateMessage({ ...body, toUserId: req.params.userId }, apiActor(req));
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to send message');
+    }
+  });
+
+  // Percakapan private (1:1 dan grup)
+  app.post(`${prefix}/conversations`, authenticateApi, async (req, res) => {
+    const { members, name } = req.body || {};
+
+    if (!Array.isArray(members) || members.length === 0) {
+      return res.status(400).json({ error: 'members is required' });
+    }
+
+    try {
+      const result = await utils.openConversation({ members: members.map(String), name }, apiActor(req));
+      res.status(result.created ? 201 : 200).json({ success: true, ...result });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to open conversation');
+    }
+  });
+
+  app.get(`${prefix}/conversations/:conversationId`, authenticateApi, async (req, res) => {
+    try {
+      res.json(await utils.getConversation(req.params.conversationId, apiActor(req)));
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch conversation');
+    }
+  });
+
+  app.get(`${prefix}/conversations/:conversationId/messages`, authenticateApi, async (req, res) => {
+    const { before, after, limit } = req.query;
+
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
+    try {
+      res.json(await utils.getConversationHistory(req.params.conversationId, { before, after, limit }, apiActor(req)));
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch messages');
+    }
+  });
+
+  app.post(`${prefix}/conversations/:conversationId/messages`, authenticateApi, async (req, res) => {
+    try {
+      const { toUserId, ...body } = req.body || {};
+      const result = await utils.sendPrivateMessage({ ...body, conversationId: req.params.conversationId }, apiActor(req));
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to send message');
+    }
+  });
+
+  if (attachments) {
+    // Body upload mentah (Content-Type = tipe file). Setelah maxSize request berhenti dibaca
+    // (sisa body tidak diterima lagi) dan koneksinya ditutup setelah respons 413.
+    const readUpload = (req) => new Promise((resolve, reject) => {
+      if (Buffer.isBuffer(req.body)) return resolve(req.body);
+
+      const tooLarge = () => new ChatError("file_too_large", `File is larger than ${attachments.maxSize} bytes`, 413, {
+        maxSize: attachments.maxSize
+      });
+      if (Number(req.headers['content-length']) > attachments.maxSize) {
+        req.pause();
+        return reject(tooLarge());
+      }
+
+      const chunks = [];
+      let size = 0;
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size <= attachments.maxSize) return chunks.push(chunk);
+
+        chunks.length = 0;
+        req.off('data', onData);
+        req.unpipe();
+        req.pause();
+        reject(tooLarge());
+      };
+      req.on('data', onData);
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+
+    // Tanpa auth REST, backend terpercaya bisa upload atas nama user lewat ?userId=
+    const uploadActor = (req) => {
+      if (req.user || !req.query.userId) return apiActor(req);
+      return utils.actorFor({ id: req.query.userId });
+    };
+
+    app.post(`${prefix}/attachments`, authenticateApi, async (req, res) => {
+      const { room, toUserId, conversationId, name } = req.query;
+
+      try {
+        const data = await readUpload(req);
+        const attachment = await utils.uploadAttachment({
+          data,
+          name: name || req.headers['x-file-name'],
+          mimeType: req.headers['content-type'],
+          room: room || null,
+          toUserId: toUserId || null,
+          conversationId: conversationId || null
+        }, uploadActor(req));
+        res.json({ success: true, attachment });
+      } catch (error) {
+        if (error.status === 413) res.set('Connection', 'close');
+        sendApiError(res, error, 'Failed to upload attachment');
+      }
+    });
+
+    app.get(`${prefix}/attachments/:attachmentId/url`, authenticateApi, async (req, res) => {
+      try {
+        res.json(await utils.getAttachmentUrl(req.params.attachmentId, apiActor(req)));
+      } catch (error) {
+        sendApiError(res, error, 'Failed to create download URL');
+      }
+    });
+
+    // Tanpa authenticateApi: URL bertanda tangan sudah membawa izinnya
+    app.get(`${prefix}/attachments/:attachmentId/download`, async (req, res) => {
+      let file;
+      try {
+        file = await utils.openAttachment(req.params.attachmentId, req.query);
+      } catch (error) {
+        return sendApiError(res, error, 'Failed to download attachment');
+      }
+
+      res.set({
+        'Content-Type': file.mimeType,
+        'Content-Disposition': file.contentDisposition,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': `private, max-age=${Math.max(0, Math.floor((file.expiresAt - Date.now()) / 1000))}`
+      });
+      if (file.size) res.set('Content-Length', String(file.size));
+
+      file.stream.on('error', (error) => {
+        req.log.error("Failed to stream attachment", { attachmentId: req.params.attachmentId, error: error.message });
+        res.destroy(error);
+      });
+      file.stream.pipe(res);
+    });
+  }
+
+  app.put(`${prefix}/messages/:messageId`, authenticateApi, async (req, res) => {
+    const { text, meta } = req.body || {};
+
+    try {
+      const message = await utils.editMessage(req.params.messageId, { text, meta }, apiActor(req));
+      res.json({ success: true, message });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to edit message');
+    }
+  });
+
+  app.delete(`${prefix}/messages/:messageId`, authenticateApi, async (req, res) => {
+    try {
+      await utils.deleteMessage(req.params.messageId, apiActor(req));
+      res.json({ success: true, messageId: req.params.messageId });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to delete message');
+    }
+  });
+
+  app.get(`${prefix}/messages/:messageId/edits`, authenticateApi, async (req, res) => {
+    try {
+      res.json(await utils.getMessageEdits(req.params.messageId, apiActor(req)));
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch edit history');
+    }
+  });
+
+  app.get(`${prefix}/messages/:messageId/thread`, authenticateApi, async (req, res) => {
+    const { before, after, limit } = req.query;
+
+    if (before && after) {
+      return res.status(400).json({ error: 'Use either before or after, not both' });
+    }
+
+    try {
+      res.json(await utils.getThread(req.params.messageId, { before, after, limit }, apiActor(req)));
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch thread');
+    }
+  });
+
+  const userResource = (req) => ({ type: "user", userId: req.params.userId });
+
+  app.get(`${prefix}/users/:userId/conversations`, authenticateApi, requirePermission("user:read", userResource), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+      res.json({ userId, conversations: await utils.listConversations(userId, { limit: req.query.limit }) });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch conversations');
+    }
+  });
+
+  app.get(`${prefix}/users/:userId/unread`, authenticateApi, requirePermission("user:read", userResource), async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+      res.json({ userId, ...(await utils.getUnreadCounts(userId)) });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch unread counts');
+    }
+  });
+
+  // Moderation
+  app.get(`${prefix}/moderation`, authenticateApi, async (req, res) => {
+    try {
+      res.json(await utils.getModerationState({ room: req.query.room }, apiActor(req)));
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch moderation state');
+    }
+  });
+
+  app.get(`${prefix}/moderation/audit`, authenticateApi, async (req, res) => {
+    const { room, limit } = req.query;
+
+    try {
+      res.json({ entries: await utils.getAuditLog({ room, limit }, apiActor(req)) });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to fetch audit log');
+    }
+  });
+
+  app.post(`${prefix}/moderation/mutes`, authenticateApi, async (req, res) => {
+    const { userId, room, duration, reason } = req.body || {};
+
+    try {
+      const mute = await utils.muteUser({ userId, room, duration, reason }, apiActor(req));
+      res.status(201).json({ success: true, mute });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to mute user');
+    }
+  });
+
+  app.delete(`${prefix}/moderation/mutes/:userId`, authenticateApi, async (req, res) => {
+    try {
+      const removed = await utils.unmuteUser({ userId: req.params.userId, room: req.query.room }, apiActor(req));
+      res.json({ success: true, removed });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to unmute user');
+    }
+  });
+
+  app.post(`${prefix}/moderation/kicks`, authenticateApi, async (req, res) => {
+    const { userId, room, reason } = req.body || {};
+
+    try {
+      const entry = await utils.kickUser({ userId, room, reason }, apiActor(req));
+      res.json({ success: true, entry });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to kick user');
+    }
   });
 
-  app.post(`${prefix}/broadcast`, authenticateApi, (req, res) => {
+  app.post(`${prefix}/moderation/bans`, authenticateApi, async (req, res) => {
+    const { userId, ip, room, duration, reason } = req.body || {};
+
+    try {
+      const ban = await utils.banUser({ userId, ip, room, duration, reason }, apiActor(req));
+      res.status(201).json({ success: true, ban });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to ban user');
+    }
+  });
+
+  app.delete(`${prefix}/moderation/bans`, authenticateApi, async (req, res) => {
+    const { userId, ip, room } = req.query;
+
+    try {
+      const removed = await utils.unbanUser({ userId, ip, room }, apiActor(req));
+      res.json({ success: true, removed });
+    } catch (error) {
+      sendApiError(res, error, 'Failed to unban user');
+    }
+  });
+
+  app.post(`${prefix}/broadcast`, authenticateApi, requirePermission("server:broadcast"), (req, res) => {
     const { event, data } = req.body;
     if (!event || !data) {
       return res.status(400).json({ error: 'Event and data required' });
@@ -404,7 +3243,7 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
     res.json({ success: true, message: 'Broadcast sent' });
   });
 
-  app.post(`${prefix}/room/:roomName/message`, authenticateApi, (req, res) => {
+  app.post(`${prefix}/room/:roomName/message`, authenticateApi, requirePermission("server:broadcast"), (req, res) => {
     const { roomName } = req.params;
     const { event, data } = req.body;
     
@@ -416,7 +3255,7 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
     res.json({ success: true, message: `Message sent to room: ${roomName}` });
   });
 
-  app.post(`${prefix}/users/:userId/message`, authenticateApi, (req, res) => {
+  app.post(`${prefix}/users/:userId/message`, authenticateApi, requirePermission("server:broadcast"), async (req, res) => {
     const { userId } = req.params;
     const { event, data } = req.body;
     
@@ -424,7 +3263,12 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
       return res.status(400).json({ error: 'Event and data required' });
     }
     
-    const targetUser = utils.getUser(userId);
+    let targetUser;
+    try {
+      targetUser = await utils.getUser(userId);
+    } catch (error) {
+      return sendApiError(res, error, 'Failed to fetch user');
+    }
     if (!targetUser) {
       return res.status(404).json({ error: 'User not found or offline' });
     }
@@ -434,7 +3278,7 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
   });
 
   // Webhook endpoint
-  app.post(`${prefix}/webhooks/notification`, authenticateApi, (req, res) => {
+  app.post(`${prefix}/webhooks/notification`, authenticateApi, requirePermission("server:broadcast"), (req, res) => {
     const { type, data, target } = req.body;
     
     switch (type) {
@@ -458,17 +3302,71 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
     res.json({ success: true, message: 'Notification sent' });
   });
 
-  // Health check
-  app.get(`${prefix}/health`, (req, res) => {
-    const activeUsers = utils.getActiveUsers();
+  // Webhook keluar (subscription event chat)
+  if (webhooks) {
+    app.post(`${prefix}/webhooks`, authenticateApi, async (req, res) => {
+      const { url, events, secret, description } = req.body || {};
+
+      try {
+        const webhook = await utils.registerWebhook({ url, events, secret, description }, apiActor(req));
+        res.status(201).json({ success: true, webhook });
+      } catch (error) {
+        sendApiError(res, error, 'Failed to register webhook');
+      }
+    });
+
+    app.get(`${prefix}/webhooks`, authenticateApi, async (req, res) => {
+      try {
+        res.json({ webhooks: await utils.listWebhooks(apiActor(req)) });
+      } catch (error) {
+        sendApiError(res, error, 'Failed to fetch webhooks');
+      }
+    });
+
+    app.get(`${prefix}/webhooks/dead-letters`, authenticateApi, async (req, res) => {
+      try {
+        res.json({ entries: await utils.getWebhookDeadLetters({ limit: req.query.limit }, apiActor(req)) });
+      } catch (error) {
+        sendApiError(res, error, 'Failed to fetch webhook dead letters');
+      }
+    });
+
+    app.post(`${prefix}/webhooks/:webhookId/test`, authenticateApi, async (req, res) => {
+      try {
+        res.json({ success: true, delivery: await utils.testWebhook(req.params.webhookId, apiActor(req)) });
+      } catch (error) {
+        sendApiError(res, error, 'Failed to test webhook');
+      }
+    });
+
+    app.delete(`${prefix}/webhooks/:webhookId`, authenticateApi, async (req, res) => {
+      try {
+        res.json({ success: true, webhook: await utils.deleteWebhook(req.params.webhookId, apiActor(req)) });
+      } catch (error) {
+        sendApiError(res, error, 'Failed to delete webhook');
+      }
+    });
+  }
+
+  // Health check: 200 kalau sehat, 503 kalau degraded (Redis putus) atau sedang shutdown
+  app.get(`${prefix}/health`, async (req, res) => {
+    const health = utils.getHealth();
+    // Presence ada di Redis; selama putus, query-nya akan menunggu reconnect
+    const activeUsers = health.ready ? await utils.getActiveUsers().catch(() => null) : null;
     const rooms = utils.getRooms();
     
-    res.json({
-      status: 'OK',
+    res.status(health.ready ? 200 : 503).json({
+      status: health.status.toUpperCase(),
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
+      node: {
+        id: health.nodeId,
+        backend: health.backend
+      },
+      redis: health.redis,
+      adapter: health.adapter,
       chat: {
-        activeUsers: activeUsers.length,
+        activeUsers: activeUsers ? activeUsers.length : null,
         totalRooms: rooms ? rooms.size : 0
       },
       restApi: {
@@ -478,8 +3376,37 @@ function setupRestApiRoutes(serverOrApp, utils, options = {}) {
     });
   });
 
-  console.log(`REST API routes enabled at ${prefix}/*`);
+  // Metrik Prometheus node ini (text exposition format)
+  app.get(`${prefix}/metrics`, authenticateApi, requirePermission("server:read"), (req, res) => {
+    try {
+      res.type('text/plain; version=0.0.4').send(utils.getMetrics({ format: 'prometheus' }));
+    } catch (error) {
+      sendApiError(res, error, 'Failed to collect metrics');
+    }
+  });
+
+  // Readiness untuk load balancer / Kubernetes: 503 selama degraded atau shutdown
+  app.get(`${prefix}/ready`, (req, res) => {
+    const { ready, status } = utils.getHealth();
+    res.status(ready ? 200 : 503).json({ ready, status });
+  });
+
+  logger.info("REST API routes enabled", { prefix });
   return { prefix, enabled: true };
 }
 
-module.exports = { createChatServer };
+module.exports = {
+  createChatServer,
+  eventSchemas,
+  createEventSchemas,
+  validatePayload,
+  createWordFilter,
+  createLocalStorage,
+  createS3Storage,
+  signWebhook,
+  createId,
+  createRedisMessageStore,
+  createMemoryMessageStore,
+  createTokenVerifier,
+  createSocketAuth
+};
@@ -0,0 +1,127 @@
+// lib/attachment-storage.js
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Storage file attachment. `key` dibuat server (id attachment), bukan dari nama file user.
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   put(key, data, { mimeType, size })  -> void          (data: Buffer)
+ *   get(key)                            -> Readable | null (null kalau tidak ada)
+ *   remove(key)                         -> void
+ * Opsional:
+ *   getSignedUrl(key, { expiresIn, mimeType, contentDisposition }) -> URL download langsung
+ *     (expiresIn dalam detik); kalau ada, dipakai menggantikan URL download REST API
+ */
+
+const assertKey = (key) => {
+  if (typeof key !== "string" || !/^[A-Za-z0-9._-]+$/.test(key) || key.startsWith(".")) {
+    throw new Error(`Invalid attachment key: ${key}`);
+  }
+};
+
+/**
+ * Storage di disk lokal. Di cluster, `directory` harus berupa volume bersama
+ * supaya file yang di-upload ke satu node bisa di-download dari node lain.
+ * @param {Object} [options]
+ * @param {string} [options.directory] - folder penyimpanan (default: ./uploads)
+ */
+function createLocalStorage(options = {}) {
+  const { directory = path.join(process.cwd(), "uploads") } = options;
+  const fileOf = (key) => {
+    assertKey(key);
+    return path.join(directory, key);
+  };
+
+  return {
+    async put(key, data) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(fileOf(key), data);
+    },
+
+    async get(key) {
+      const file = fileOf(key);
+      try {
+        await fs.promises.access(file, fs.constants.R_OK);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileOf(key), { force: true });
+    }
+  };
+}
+
+// Package AWS SDK adalah optional peer dependency, hanya dibutuhkan storage S3
+const requireAwsSdk = (name) => {
+  try {
+    return require(name);
+  } catch (error) {
+    if (error.code === "MODULE_NOT_FOUND" && error.message.includes(`'${name}'`)) {
+      throw new Error(`S3 attachment storage needs the "${name}" package, install it with: npm install ${name}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Storage S3 / S3-compatible (MinIO, R2, dsb.) memakai AWS SDK v3.
+ * Butuh package `@aws-sdk/client-s3` (dan `@aws-sdk/s3-request-presigner` untuk signedUrls).
+ * @param {Object} options
+ * @param {any} options.client - instance S3Client
+ * @param {string} options.bucket - nama bucket
+ * @param {string} [options.keyPrefix] - prefix object key (default: "attachments/")
+ * @param {boolean} [options.signedUrls] - download langsung dari S3 dengan presigned URL (default: true)
+ */
+function createS3Storage(options) {
+  const { client, bucket, keyPrefix = "attachments/", signedUrls = true } = options;
+  if (!client || !bucket) throw new Error("S3 storage needs a client and a bucket");
+
+  const { PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = requireAwsSdk("@aws-sdk/client-s3");
+  const objectKey = (key) => {
+    assertKey(key);
+    return `${keyPrefix}${key}`;
+  };
+
+  const storage = {
+    async put(key, data, { mimeType }) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: data,
+        ContentType: mimeType
+      }));
+    },
+
+    async get(key) {
+      try {
+        const output = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return output.Body;
+      } catch (error) {
+        if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+
+  if (signedUrls) {
+    const { getSignedUrl } = requireAwsSdk("@aws-sdk/s3-request-presigner");
+    storage.getSignedUrl = (key, { expiresIn, mimeType, contentDisposition }) => getSignedUrl(client, new GetObjectCommand({
+      Bucket: bucket,
+      Key: objectKey(key),
+      ResponseContentType: mimeType,
+      ResponseContentDisposition: contentDisposition
+    }), { expiresIn });
+  }
+
+  return storage;
+}
+
+module.exports = { createLocalStorage, createS3Storage };
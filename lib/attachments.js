@@ -0,0 +1,194 @@
+// lib/attachments.js
+const crypto = require("crypto");
+
+/**
+ * Metadata attachment: { id, key, name, mimeType, size, width?, height?, thumbnail?,
+ *   room, conversationId, uploadedBy, ts }
+ * `room` / `conversationId` adalah tujuan upload; yang boleh download adalah yang boleh
+ * membaca pesan di tujuan itu. `thumbnail`: { width, height, key?, mimeType?, size? }
+ * (tanpa key berarti belum ada file thumbnail, client memperkecil gambar asli).
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   save(attachment) -> void
+ *   get(id)          -> Attachment | null
+ *   remove(id)       -> void
+ */
+
+/**
+ * Attachment store berbasis Redis (satu key JSON per attachment).
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ */
+function createRedisAttachmentStore(client, options = {}) {
+  const { prefix = "chat" } = options;
+  const key = (id) => `${prefix}:attachment:${id}`;
+
+  return {
+    async save(attachment) {
+      await client.set(key(attachment.id), JSON.stringify(attachment));
+    },
+
+    async get(id) {
+      const raw = await client.get(key(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async remove(id) {
+      await client.del(key(id));
+    }
+  };
+}
+
+/**
+ * Attachment store di memori proses ini (backend "memory"), hanya metadata; file tetap di storage.
+ */
+function createMemoryAttachmentStore() {
+  const attachments = new Map();
+
+  return {
+    async save(attachment) {
+      attachments.set(attachment.id, structuredClone(attachment));
+    },
+
+    async get(id) {
+      const attachment = attachments.get(id);
+      return attachment ? structuredClone(attachment) : null;
+    },
+
+    async remove(id) {
+      attachments.delete(id);
+    }
+  };
+}
+
+// Tipe file default yang boleh di-upload (SVG sengaja tidak, bisa berisi script)
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+];
+
+// Cocokkan MIME type dengan daftar, mendukung wildcard seperti "image/*"
+const isAllowedType = (mimeType, allowedTypes) => allowedTypes.some((allowed) =>
+  allowed === "*/*" ||
+  allowed === mimeType ||
+  (allowed.endsWith("/*") && mimeType.startsWith(allowed.slice(0, -1))));
+
+const jpegSize = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15 kecuali DHT (C4), JPG (C8), DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+};
+
+const webpSize = (buffer) => {
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    const [b0, b1, b2, b3] = buffer.subarray(21, 25);
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6))
+    };
+  }
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  return null;
+};
+
+/**
+ * Baca tipe dan ukuran gambar dari header file (PNG, JPEG, GIF, WebP).
+ * @param {Buffer} buffer
+ * @returns {{ mimeType: string, width: number, height: number } | null}
+ */
+function detectImage(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return { mimeType: "image/png", width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString("ascii", 0, 6))) {
+    return { mimeType: "image/gif", width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    const size = jpegSize(buffer);
+    return size && { mimeType: "image/jpeg", ...size };
+  }
+  if (buffer.length >= 16 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    const size = webpSize(buffer);
+    return size && { mimeType: "image/webp", ...size };
+  }
+  return null;
+}
+
+// Ukuran thumbnail yang muat di kotak maxSize x maxSize, tanpa memperbesar gambar kecil
+const fitWithin = ({ width, height }, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const signature = (secret, id, variant, expires) =>
+  crypto.createHmac("sha256", secret).update(`${id}:${variant}:${expires}`).digest("base64url");
+
+/**
+ * Tanda tangan URL download: { expires, signature } berlaku sampai `expires` (ms epoch).
+ * @param {string|Buffer} secret
+ * @param {string} id - id attachment
+ * @param {"original"|"thumbnail"} variant
+ * @param {number} expires
+ */
+function signDownload(secret, id, variant, expires) {
+  return { expires, signature: signature(secret, id, variant, expires) };
+}
+
+/**
+ * Cek tanda tangan URL download dan masa berlakunya.
+ * @returns {boolean}
+ */
+function verifyDownload(secret, id, variant, expires, given) {
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || typeof given !== "string") return false;
+
+  const expected = Buffer.from(signature(secret, id, variant, expiresAt));
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Gambar ditampilkan inline, file lain selalu di-download
+const contentDispositionOf = ({ name, mimeType }) => {
+  const type = mimeType.startsWith("image/") ? "inline" : "attachment";
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+};
+
+module.exports = {
+  createRedisAttachmentStore,
+  createMemoryAttachmentStore,
+  DEFAULT_ALLOWED_TYPES,
+  isAllowedType,
+  detectImage,
+  fitWithin,
+  signDownload,
+  verifyDownload,
+  contentDispositionOf
+};
@@ -0,0 +1,193 @@
+// lib/auth.js
+const crypto = require("crypto");
+const { ChatError } = require("./errors");
+
+// Algoritma JWT yang didukung -> hash + jenis key
+const ALGORITHMS = {
+  HS256: { hash: "sha256", type: "hmac" },
+  HS384: { hash: "sha384", type: "hmac" },
+  HS512: { hash: "sha512", type: "hmac" },
+  RS256: { hash: "sha256", type: "rsa" },
+  RS384: { hash: "sha384", type: "rsa" },
+  RS512: { hash: "sha512", type: "rsa" },
+  PS256: { hash: "sha256", type: "rsa-pss" },
+  PS384: { hash: "sha384", type: "rsa-pss" },
+  PS512: { hash: "sha512", type: "rsa-pss" },
+  ES256: { hash: "sha256", type: "ec" },
+  ES384: { hash: "sha384", type: "ec" },
+  ES512: { hash: "sha512", type: "ec" }
+};
+
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const PUBLIC_KEY_ALGORITHMS = Object.keys(ALGORITHMS).filter((alg) => !HMAC_ALGORITHMS.includes(alg));
+
+const invalidToken = (message = "Invalid token") => new ChatError("invalid_token", message, 401);
+
+// Header dan payload JWT harus objek JSON (bukan null, array, string, atau angka)
+const decodeSegment = (segment) => {
+  let value;
+  try {
+    value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidToken("Malformed token");
+  }
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    throw invalidToken("Malformed token");
+  }
+  return value;
+};
+
+const toList = (value) => [].concat(value ?? []);
+
+function verifySignature(alg, signingInput, signature, key) {
+  const { hash, type } = ALGORITHMS[alg];
+
+  if (type === "hmac") {
+    const expected = crypto.createHmac(hash, key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  const verifyKey = type === "rsa-pss"
+    ? { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST }
+    : type === "ec" ? { key, dsaEncoding: "ieee-p1363" } : key;
+  return crypto.verify(hash, Buffer.from(signingInput), verifyKey, signature);
+}
+
+/**
+ * Verifikasi JWT (HS, RS, PS, ES) memakai crypto bawaan Node.
+ * @param {string} token
+ * @param {Object} config
+ * @param {string|Buffer} [config.secret] - secret untuk HS*
+ * @param {string|Buffer|crypto.KeyObject} [config.publicKey] - public key PEM untuk RS, PS, ES
+ * @param {string|string[]} [config.issuer] - claim iss yang diterima
+ * @param {string|string[]} [config.audience] - claim aud yang diterima (salah satu cukup)
+ * @param {string[]} [config.algorithms] - algoritma yang diterima (default: sesuai jenis key)
+ * @param {number} [config.clockTolerance] - toleransi selisih jam untuk exp/nbf, dalam detik (default: 0)
+ * @returns {Object} claims
+ */
+function verifyJwt(token, config) {
+  const { secret, publicKey, issuer, audience, clockTolerance = 0 } = config;
+  const algorithms = config.algorithms || (secret ? HMAC_ALGORITHMS : PUBLIC_KEY_ALGORITHMS);
+
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) throw invalidToken("Malformed token");
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  if (!ALGORITHMS[header.alg] || !algorithms.includes(header.alg)) {
+    throw invalidToken("Token algorithm not allowed");
+  }
+
+  const key = HMAC_ALGORITHMS.includes(header.alg) ? secret : publicKey;
+  if (!key) throw invalidToken("Token algorithm not allowed");
+
+  const signature = Buffer.from(encodedSignature, "base64url");
+  let valid;
+  try {
+    valid = verifySignature(header.alg, `${encodedHeader}.${encodedPayload}`, signature, key);
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) throw invalidToken("Invalid token signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && now > claims.exp + clockTolerance) {
+    throw new ChatError("token_expired", "Token has expired", 401);
+  }
+  if (typeof claims.nbf === "number" && now + clockTolerance < claims.nbf) {
+    throw invalidToken("Token is not active yet");
+  }
+  if (issuer && !toList(issuer).includes(claims.iss)) {
+    throw invalidToken("Token issuer not accepted");
+  }
+  if (audience && !toList(claims.aud).some((aud) => toList(audience).includes(aud))) {
+    throw invalidToken("Token audience not accepted");
+  }
+
+  return claims;
+}
+
+// User default dari claims JWT: id dari sub (atau id)
+const userFromClaims = (claims) => ({ ...claims, id: String(claims.sub ?? claims.id) });
+
+/**
+ * Buat verifier token yang dipakai REST API dan handshake Socket.IO.
+ * `config` bisa berupa:
+ *   - true: JWT HS256/384/512 dengan secret dari env JWT_SECRET
+ *   - { secret | publicKey, issuer, audience, algorithms, clockTolerance, mapClaims }: JWT
+ *   - { verifyToken } atau fungsi async (token) => user | null: verifier custom
+ * Verifier mengembalikan Promise<user> atau melempar ChatError 401 (invalid_token / token_expired).
+ * @param {boolean|Object|Function} config
+ * @returns {(token: string) => Promise<Object>}
+ */
+function createTokenVerifier(config) {
+  const verifyToken = typeof config === "function" ? config : config?.verifyToken;
+
+  if (verifyToken) {
+    return async (token) => {
+      let user;
+      try {
+        user = await verifyToken(token);
+      } catch (error) {
+        if (error instanceof ChatError) throw error;
+        throw invalidToken();
+      }
+      if (!user || user.id == null) throw invalidToken();
+      return user;
+    };
+  }
+
+  const jwtConfig = config === true ? { secret: process.env.JWT_SECRET } : config;
+  if (!jwtConfig?.secret && !jwtConfig?.publicKey) {
+    throw new Error("Token auth needs a JWT secret/publicKey (or JWT_SECRET env) or a verifyToken function");
+  }
+
+  const mapClaims = jwtConfig.mapClaims || userFromClaims;
+  return async (token) => {
+    const claims = verifyJwt(token, jwtConfig);
+    if (claims.sub == null && claims.id == null) throw invalidToken("Token has no subject");
+    const user = await mapClaims(claims);
+    if (!user || user.id == null) throw invalidToken("Token has no subject");
+    return user;
+  };
+}
+
+// Token dari header Authorization: Bearer <token>
+const bearerToken = (header) => {
+  const match = /^Bearer\s+(.+)$/i.exec(header || "");
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Middleware handshake Socket.IO: token dari auth.token, query.token, atau header
+ * Authorization; user hasil verifikasi disimpan di socket.user.
+ * Error handshake membawa `data: { code }` (token_required, invalid_token, token_expired); pesan
+ * hanya diteruskan dari ChatError, error lain (mis. verifier custom yang crash) jadi "Invalid token".
+ * @param {(token: string) => Promise<Object>} verify - hasil createTokenVerifier
+ */
+function createSocketAuth(verify) {
+  return async (socket, next) => {
+    const { auth = {}, query = {}, headers = {} } = socket.handshake;
+    const token = auth.token || query.token || bearerToken(headers.authorization);
+
+    if (!token) {
+      const error = new Error("Token required");
+      error.data = { code: "token_required" };
+      return next(error);
+    }
+
+    try {
+      socket.user = await verify(token);
+      next();
+    } catch (failure) {
+      const known = failure instanceof ChatError;
+      const error = new Error(known ? failure.message : "Invalid token");
+      error.data = { code: known ? failure.code : "invalid_token" };
+      next(error);
+    }
+  };
+}
+
+module.exports = { createTokenVerifier, createSocketAuth, verifyJwt, bearerToken };
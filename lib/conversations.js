@@ -0,0 +1,140 @@
+// lib/conversations.js
+const crypto = require("crypto");
+
+/**
+ * Percakapan private (DM): 1:1 ("direct") atau grup kecil ("group").
+ * Conversation: { id, type, members, name, createdBy, createdAt }
+ * Id deterministik dari daftar member, jadi membuka percakapan dengan member
+ * yang sama selalu menghasilkan percakapan yang sama.
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   open(conversation)          -> { conversation, created }  (yang sudah ada dikembalikan apa adanya)
+ *   get(id)                     -> Conversation | null
+ *   touch(conversation, message) -> void   (urutan list dan pesan terakhir)
+ *   list(userId, { limit })     -> (Conversation & { lastMessageId, lastActivityAt })[]  (terbaru dulu)
+ */
+
+/**
+ * Member unik dan terurut; id: "dm_<hash>" untuk 2 member, "group_<hash>" untuk lebih.
+ * @param {string[]} members
+ * @returns {{ id: string, type: "direct"|"group", members: string[] }}
+ */
+function conversationKeyOf(members) {
+  const sorted = [...new Set(members.map(String))].sort();
+  const type = sorted.length === 2 ? "direct" : "group";
+  const hash = crypto.createHash("sha256").update(JSON.stringify(sorted)).digest("base64url").slice(0, 24);
+  return { id: `${type === "direct" ? "dm" : "group"}_${hash}`, type, members: sorted };
+}
+
+/**
+ * Conversation store berbasis Redis: satu key JSON per percakapan, sorted set per user
+ * (score = aktivitas terakhir) dan hash berisi id pesan terakhir.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ */
+function createRedisConversationStore(client, options = {}) {
+  const { prefix = "chat" } = options;
+
+  const conversationKey = (id) => `${prefix}:conversation:${id}`;
+  const userKey = (userId) => `${prefix}:conversations:${userId}`;
+  const lastMessageKey = `${prefix}:conversations:last`;
+
+  return {
+    async open(conversation) {
+      const created = await client.set(conversationKey(conversation.id), JSON.stringify(conversation), { NX: true });
+      if (!created) {
+        return { conversation: JSON.parse(await client.get(conversationKey(conversation.id))), created: false };
+      }
+
+      const multi = client.multi();
+      conversation.members.forEach((userId) => {
+        multi.zAdd(userKey(userId), { score: conversation.createdAt, value: conversation.id });
+      });
+      await multi.exec();
+      return { conversation, created: true };
+    },
+
+    async get(id) {
+      const raw = await client.get(conversationKey(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async touch(conversation, message) {
+      const multi = client.multi();
+      conversation.members.forEach((userId) => {
+        multi.zAdd(userKey(userId), { score: message.ts, value: conversation.id });
+      });
+      multi.hSet(lastMessageKey, conversation.id, message.id);
+      await multi.exec();
+    },
+
+    async list(userId, { limit = 50 } = {}) {
+      const entries = await client.zRangeWithScores(userKey(userId), 0, limit - 1, { REV: true });
+      if (entries.length === 0) return [];
+
+      const ids = entries.map((entry) => entry.value);
+      const [raws, lastMessageIds] = await Promise.all([
+        client.mGet(ids.map(conversationKey)),
+        client.hmGet(lastMessageKey, ids)
+      ]);
+
+      return entries
+        .map((entry, index) => raws[index] && {
+          ...JSON.parse(raws[index]),
+          lastMessageId: lastMessageIds[index] ?? null,
+          lastActivityAt: Number(entry.score)
+        })
+        .filter(Boolean);
+    }
+  };
+}
+
+/**
+ * Conversation store di memori proses ini (backend "memory").
+ */
+function createMemoryConversationStore() {
+  const conversations = new Map();
+  // userId -> Map conversationId -> aktivitas terakhir
+  const activity = new Map();
+  const lastMessageIds = new Map();
+
+  const touchMember = (userId, id, ts) => {
+    if (!activity.has(userId)) activity.set(userId, new Map());
+    activity.get(userId).set(id, ts);
+  };
+
+  return {
+    async open(conversation) {
+      const existing = conversations.get(conversation.id);
+      if (existing) return { conversation: structuredClone(existing), created: false };
+
+      conversations.set(conversation.id, structuredClone(conversation));
+      conversation.members.forEach((userId) => touchMember(userId, conversation.id, conversation.createdAt));
+      return { conversation, created: true };
+    },
+
+    async get(id) {
+      const conversation = conversations.get(id);
+      return conversation ? structuredClone(conversation) : null;
+    },
+
+    async touch(conversation, message) {
+      conversation.members.forEach((userId) => touchMember(userId, conversation.id, message.ts));
+      lastMessageIds.set(conversation.id, message.id);
+    },
+
+    async list(userId, { limit = 50 } = {}) {
+      return [...(activity.get(userId) || [])]
+        .sort(([idA, a], [idB, b]) => b - a || (idB > idA ? 1 : -1))
+        .slice(0, limit)
+        .filter(([id]) => conversations.has(id))
+        .map(([id, ts]) => ({
+          ...structuredClone(conversations.get(id)),
+          lastMessageId: lastMessageIds.get(id) ?? null,
+          lastActivityAt: ts
+        }));
+    }
+  };
+}
+
+module.exports = { createRedisConversationStore, createMemoryConversationStore, conversationKeyOf };
@@ -0,0 +1,23 @@
+// lib/errors.js
+
+/**
+ * Error dengan kode yang bisa dibaca mesin, dipakai bersama oleh socket
+ * handler (ack / event "error") dan REST API (status HTTP).
+ */
+class ChatError extends Error {
+  /**
+   * @param {string} code - kode error, mis. "not_found", "forbidden"
+   * @param {string} message - pesan untuk manusia
+   * @param {number} [status] - HTTP status untuk REST API (default: 400)
+   * @param {Object} [details] - data tambahan untuk client, mis. { until } atau { retryAfter }
+   */
+  constructor(code, message, status = 400, details) {
+    super(message);
+    this.name = "ChatError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { ChatError };
@@ -0,0 +1,71 @@
+// lib/idempotency.js
+
+/**
+ * Idempotency store untuk clientMessageId: retry pesan yang sama setelah
+ * reconnect tidak disimpan dan di-broadcast dua kali.
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   claim(key, messageId)  -> messageId lama kalau key sudah pernah dipakai, null kalau baru
+ *   release(key)           -> void   (dipanggil kalau penyimpanan pesan gagal)
+ */
+
+/**
+ * Idempotency store berbasis Redis (SET NX dengan expiry).
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ * @param {number} [options.ttl] - berapa lama key diingat dalam ms (default: 86400000)
+ */
+function createRedisIdempotency(client, options = {}) {
+  const { prefix = "chat", ttl = 86400000 } = options;
+  const key = (name) => `${prefix}:idempotency:${name}`;
+
+  return {
+    async claim(name, messageId) {
+      const created = await client.set(key(name), messageId, { NX: true, PX: ttl });
+      if (created) return null;
+      return client.get(key(name));
+    },
+
+    async release(name) {
+      await client.del(key(name));
+    }
+  };
+}
+
+/**
+ * Idempotency store di memori proses ini (backend "memory").
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - berapa lama key diingat dalam ms (default: 86400000)
+ */
+function createMemoryIdempotency(options = {}) {
+  const { ttl = 86400000 } = options;
+  // key -> { messageId, expiresAt }, urut sesuai waktu claim
+  const keys = new Map();
+
+  // ttl sama untuk semua key, jadi yang kedaluwarsa selalu ada di depan
+  const prune = (now) => {
+    for (const [name, entry] of keys) {
+      if (entry.expiresAt > now) break;
+      keys.delete(name);
+    }
+  };
+
+  return {
+    async claim(name, messageId) {
+      const now = Date.now();
+      prune(now);
+
+      const existing = keys.get(name);
+      if (existing) return existing.messageId;
+
+      keys.set(name, { messageId, expiresAt: now + ttl });
+      return null;
+    },
+
+    async release(name) {
+      keys.delete(name);
+    }
+  };
+}
+
+module.exports = { createRedisIdempotency, createMemoryIdempotency };
@@ -0,0 +1,56 @@
+// lib/ids.js
+const crypto = require("crypto");
+
+// Crockford base32, urutan karakter menjaga urutan leksikografis
+const ENCODING = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+let lastTime = -1;
+let lastRandom = null;
+
+function encodeTime(time) {
+  let out = "";
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    out = ENCODING[time % 32] + out;
+    time = Math.floor(time / 32);
+  }
+  return out;
+}
+
+function randomDigits() {
+  return Array.from(crypto.randomBytes(RANDOM_LENGTH), (byte) => byte % 32);
+}
+
+// Tambah 1 ke bagian random (base32), dipakai untuk id di milidetik yang sama
+function increment(digits) {
+  const next = digits.slice();
+  for (let i = next.length - 1; i >= 0; i--) {
+    if (next[i] < 31) {
+      next[i]++;
+      return next;
+    }
+    next[i] = 0;
+  }
+  throw new Error("Id random space exhausted for this millisecond");
+}
+
+/**
+ * Buat id unik bergaya ULID (26 karakter): 48 bit timestamp + 80 bit random.
+ * Id bisa diurutkan berdasarkan waktu, dan monotonic untuk id yang dibuat
+ * di milidetik yang sama dalam satu proses.
+ * @param {number} [now] - timestamp dalam ms (default: Date.now())
+ * @returns {string}
+ */
+function createId(now = Date.now()) {
+  if (now <= lastTime && lastRandom) {
+    lastRandom = increment(lastRandom);
+  } else {
+    lastTime = now;
+    lastRandom = randomDigits();
+  }
+
+  return encodeTime(lastTime) + lastRandom.map((digit) => ENCODING[digit]).join("");
+}
+
+module.exports = { createId };
@@ -0,0 +1,71 @@
+// lib/logger.js
+
+/**
+ * Logger terstruktur untuk server dan modul lib. Semua log lewat wrapper dengan API yang sama:
+ *   log.debug|info|warn|error(message, fields?)
+ *   log.child(fields | () => fields)  -> logger dengan field tambahan (fungsi dihitung saat log ditulis)
+ * Field yang dipakai server: nodeId, socketId, userId, room, requestId, event, error.
+ * Field bernilai null / undefined tidak ditulis.
+ */
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Logger bawaan: satu baris JSON per log, info/debug ke stdout dan warn/error ke stderr.
+ * @param {Object} [options]
+ * @param {"debug"|"info"|"warn"|"error"|"silent"} [options.level] - level minimal (default: "info")
+ */
+function createJsonLogger(options = {}) {
+  const { level = "info" } = options;
+  const minimum = level === "silent" ? LEVELS.length : LEVELS.indexOf(level);
+  if (minimum === -1) throw new Error(`Unknown log level "${level}", expected one of ${LEVELS.join(", ")} or silent`);
+
+  const write = (name, rank) => (fields, message) => {
+    if (rank < minimum) return;
+    const line = JSON.stringify({ level: name, time: new Date().toISOString(), msg: message, ...fields });
+    (rank >= LEVELS.indexOf("warn") ? process.stderr : process.stdout).write(`${line}\n`);
+  };
+  return Object.fromEntries(LEVELS.map((name, rank) => [name, write(name, rank)]));
+}
+
+const withoutEmpty = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value != null));
+
+const wrap = (logger, bindings) => {
+  // winston: (message, meta); pino, bunyan dan logger bawaan: (fields, message)
+  const messageFirst = Array.isArray(logger?.transports);
+  const fieldsOf = () => (typeof bindings === "function" ? bindings() : bindings);
+
+  const log = (level) => (message, fields = {}) => {
+    const method = logger?.[level];
+    if (typeof method !== "function") return;
+
+    const merged = withoutEmpty({ ...fieldsOf(), ...fields });
+    if (messageFirst) {
+      method.call(logger, message, merged);
+    } else {
+      method.call(logger, merged, message);
+    }
+  };
+
+  return {
+    ...Object.fromEntries(LEVELS.map((level) => [level, log(level)])),
+    child: (extra) => wrap(logger, () => ({
+      ...fieldsOf(),
+      ...(typeof extra === "function" ? extra() : extra)
+    }))
+  };
+};
+
+/**
+ * Siapkan logger untuk dipakai server / modul lib.
+ * @param {Object|false} [logger] - objek gaya pino / winston dengan method debug/info/warn/error,
+ *   false untuk tidak menulis log sama sekali (default: logger JSON bawaan)
+ * @param {Object} [options]
+ * @param {"debug"|"info"|"warn"|"error"|"silent"} [options.level] - level logger bawaan (default: "info")
+ */
+function createLogger(logger, options = {}) {
+  if (logger === false) return wrap(null, {});
+  return wrap(logger ?? createJsonLogger(options), {});
+}
+
+module.exports = { createLogger, createJsonLogger };
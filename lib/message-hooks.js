@@ -0,0 +1,129 @@
+// lib/message-hooks.js
+const { ChatError } = require("./errors");
+const { createLogger } = require("./logger");
+
+/**
+ * Pipeline hook pesan (room, private, REST, edit).
+ * beforeMessage(message, context) jalan berurutan sebelum pesan disimpan:
+ *   - boleh mengubah `message` langsung, atau mengembalikan object pesan pengganti
+ *   - context.reject(reason) menolak pesan (ChatError "message_rejected")
+ *   - context.flag(reason) menandai pesan untuk direview, pesan tetap dikirim
+ * afterMessage(message, context) jalan berurutan setelah pesan dikirim; error hanya di-log.
+ * context: { event, source, actor, room, toUserId, conversation, flags, reject, flag }
+ *   conversation hanya untuk private message (toUserId null untuk percakapan grup)
+ *   event  = "message" | "message:private" | "message:edit"
+ *   source = "socket" | "api"
+ */
+
+const toList = (hooks) => [].concat(hooks ?? []).filter(Boolean);
+
+const hookName = (hook, index) => hook.name || `hook#${index}`;
+
+/**
+ * @param {Object} [options]
+ * @param {Function|Function[]} [options.before] - hook beforeMessage, urut sesuai array
+ * @param {Function|Function[]} [options.after] - hook afterMessage, urut sesuai array
+ * @param {Object} [options.logger] - logger dari createLogger (default: logger JSON bawaan)
+ */
+function createMessagePipeline(options = {}) {
+  const before = toList(options.before);
+  const after = toList(options.after);
+  const { logger = createLogger() } = options;
+
+  return {
+    /**
+     * Jalankan beforeMessage; mengembalikan pesan akhir (dengan `flags` kalau ada yang menandai).
+     * @returns {Promise<Object>}
+     */
+    async runBefore(message, context) {
+      const flags = [];
+      let current = message;
+
+      for (const [index, hook] of before.entries()) {
+        const name = hookName(hook, index);
+        const result = await hook(current, {
+          ...context,
+          flags,
+          reject: (reason = "Message rejected") => {
+            throw new ChatError("message_rejected", reason, 422, { reason, hook: name });
+          },
+          flag: (reason) => {
+            flags.push({ reason: reason ?? null, hook: name, ts: Date.now() });
+          }
+        });
+        if (result && typeof result === "object") current = result;
+      }
+
+      if (flags.length === 0) return current;
+      return { ...current, flagged: true, flags: [...(current.flags || []), ...flags] };
+    },
+
+    // Hook afterMessage tidak bisa membatalkan pesan yang sudah terkirim
+    async runAfter(message, context) {
+      for (const [index, hook] of after.entries()) {
+        try {
+          await hook(message, context);
+        } catch (error) {
+          logger.error("afterMessage hook failed", {
+            hook: hookName(hook, index),
+            messageId: message.id,
+            room: message.room,
+            userId: context.actor?.id,
+            error: error.message
+          });
+        }
+      }
+    }
+  };
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Hook beforeMessage bawaan: filter kata terlarang di `text`.
+ * @param {Object|string[]} config - daftar kata, atau config lengkap
+ * @param {string[]} config.words - kata/frasa terlarang (case-insensitive)
+ * @param {"mask"|"reject"|"flag"} [config.action] - aksi saat ada kata yang cocok (default: "mask")
+ * @param {string} [config.mask] - karakter pengganti untuk action "mask" (default: "*")
+ * @param {boolean} [config.wholeWord] - hanya cocok sebagai kata utuh (default: true)
+ * @returns {(message: Object, context: Object) => Object|undefined}
+ */
+function createWordFilter(config) {
+  const { words = [], action = "mask", mask = "*", wholeWord = true } = Array.isArray(config)
+    ? { words: config }
+    : config;
+
+  if (!["mask", "reject", "flag"].includes(action)) {
+    throw new Error(`Unknown word filter action: ${action}`);
+  }
+
+  // Frasa panjang dulu supaya tidak terpotong oleh kata yang lebih pendek
+  const terms = words
+    .map((word) => String(word).trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+  const pattern = terms.length === 0 ? null : new RegExp(
+    wholeWord
+      ? `(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}_])`
+      : terms.map(escapeRegExp).join("|"),
+    "giu"
+  );
+
+  const wordFilter = (message, context) => {
+    if (!pattern || typeof message.text !== "string") return undefined;
+
+    const matches = message.text.match(pattern);
+    if (!matches) return undefined;
+
+    if (action === "reject") context.reject("Message contains blocked words");
+    if (action === "flag") {
+      context.flag(`Blocked words: ${[...new Set(matches.map((match) => match.toLowerCase()))].join(", ")}`);
+      return undefined;
+    }
+    return { ...message, text: message.text.replace(pattern, (match) => mask.repeat([...match].length)) };
+  };
+
+  return wordFilter;
+}
+
+module.exports = { createMessagePipeline, createWordFilter };
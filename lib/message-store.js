@@ -0,0 +1,247 @@
+// lib/message-store.js
+const { updateJson } = require("./redis-json");
+
+/**
+ * Message store dipakai untuk menyimpan history pesan room dan private.
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   save(scope, message)                    -> Message
+ *   get(id)                                 -> Message | null
+ *   list(scope, { before, after, limit })   -> { messages, hasMore }
+ *   update(id, updater)                     -> Message | null
+ *   countAfter(scope, id)                   -> number | null
+ *   link(scope, message)                    -> void
+ *
+ * `updater(message)` mengembalikan pesan baru, atau null kalau tidak ada perubahan.
+ * `countAfter` menghitung pesan setelah `id` (semua pesan kalau `id` kosong),
+ * null kalau `id` tidak ada di scope.
+ * `link` menambahkan pesan yang sudah disimpan ke scope lain (mis. thread);
+ * trim scope tersebut hanya membuang urutan, isi pesan tetap milik scope asal.
+ * `scope` adalah key history (lihat roomScope/privateScope/conversationScope), pesan di dalam
+ * scope diurutkan dari yang paling lama ke paling baru.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const roomScope = (room) => (room ? `room:${room}` : "global");
+
+const privateScope = (userA, userB) => `private:${[userA, userB].sort().join(":")}`;
+
+const threadScope = (threadId) => `thread:${threadId}`;
+
+// Percakapan 1:1 memakai scope private yang sama supaya history lama tetap tersambung
+const conversationScope = (conversation) => (conversation.type === "direct"
+  ? privateScope(...conversation.members)
+  : `conversation:${conversation.id}`);
+
+function normalizeLimit(limit) {
+  const value = parseInt(limit, 10);
+  if (!Number.isFinite(value) || value <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(value, MAX_PAGE_SIZE);
+}
+
+/**
+ * Hitung range index [start, stop] untuk satu halaman history.
+ * @param {number} total - jumlah pesan di scope
+ * @param {number|null} cursorIndex - posisi pesan cursor (before/after)
+ * @param {{ before?: string, after?: string, limit?: number }} query
+ */
+function pageRange(total, cursorIndex, query) {
+  const limit = normalizeLimit(query.limit);
+
+  if (query.before) {
+    const start = Math.max(0, cursorIndex - limit);
+    return { start, stop: cursorIndex - 1, hasMore: start > 0 };
+  }
+
+  if (query.after) {
+    const stop = Math.min(total - 1, cursorIndex + limit);
+    return { start: cursorIndex + 1, stop, hasMore: stop < total - 1 };
+  }
+
+  const start = Math.max(0, total - limit);
+  return { start, stop: total - 1, hasMore: start > 0 };
+}
+
+/**
+ * Message store berbasis Redis (default).
+ * Pesan disimpan sebagai JSON per id, urutan per scope disimpan di sorted set.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ * @param {number} [options.maxMessages] - maksimal pesan per scope, 0 = tanpa batas (default: 1000)
+ */
+function createRedisMessageStore(client, options = {}) {
+  const { prefix = "chat", maxMessages = 1000 } = options;
+
+  const messageKey = (id) => `${prefix}:message:${id}`;
+  const scopeKey = (scope) => `${prefix}:history:${scope}`;
+
+  const trim = async (scope) => {
+    const key = scopeKey(scope);
+    const total = await client.zCard(key);
+    if (total <= maxMessages) return;
+
+    const overflow = total - maxMessages;
+    const expiredIds = await client.zRange(key, 0, overflow - 1);
+    await client
+      .multi()
+      .zRemRangeByRank(key, 0, overflow - 1)
+      .del(expiredIds.map(messageKey))
+      .exec();
+  };
+
+  return {
+    async save(scope, message) {
+      await client
+        .multi()
+        .set(messageKey(message.id), JSON.stringify(message))
+        .zAdd(scopeKey(scope), { score: message.ts, value: message.id })
+        .exec();
+
+      if (maxMessages > 0) await trim(scope);
+      return message;
+    },
+
+    async get(id) {
+      const raw = await client.get(messageKey(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async list(scope, query = {}) {
+      const key = scopeKey(scope);
+      const total = await client.zCard(key);
+
+      let cursorIndex = null;
+      const cursor = query.before || query.after;
+      if (cursor) {
+        cursorIndex = await client.zRank(key, cursor);
+        if (cursorIndex === null) return { messages: [], hasMore: false };
+      }
+
+      const { start, stop, hasMore } = pageRange(total, cursorIndex, query);
+      if (stop < start) return { messages: [], hasMore: false };
+
+      const ids = await client.zRange(key, start, stop);
+      if (ids.length === 0) return { messages: [], hasMore: false };
+
+      const raws = await client.mGet(ids.map(messageKey));
+      const messages = raws.filter(Boolean).map((raw) => JSON.parse(raw));
+      return { messages, hasMore };
+    },
+
+    update(id, updater) {
+      return updateJson(client, messageKey(id), updater);
+    },
+
+    async countAfter(scope, id) {
+      const key = scopeKey(scope);
+      const total = await client.zCard(key);
+      if (!id) return total;
+
+      const rank = await client.zRank(key, id);
+      return rank === null ? null : total - rank - 1;
+    },
+
+    async link(scope, message) {
+      const key = scopeKey(scope);
+      await client.zAdd(key, { score: message.ts, value: message.id });
+
+      if (maxMessages > 0) {
+        const total = await client.zCard(key);
+        if (total > maxMessages) await client.zRemRangeByRank(key, 0, total - maxMessages - 1);
+      }
+    }
+  };
+}
+
+/**
+ * Message store in-memory, untuk testing atau single process.
+ * @param {Object} [options]
+ * @param {number} [options.maxMessages] - maksimal pesan per scope, 0 = tanpa batas (default: 1000)
+ */
+function createMemoryMessageStore(options = {}) {
+  const { maxMessages = 1000 } = options;
+
+  const messages = new Map();
+  const scopes = new Map();
+
+  return {
+    async save(scope, message) {
+      const ids = scopes.get(scope) || [];
+      ids.push(message.id);
+      scopes.set(scope, ids);
+      messages.set(message.id, structuredClone(message));
+
+      if (maxMessages > 0 && ids.length > maxMessages) {
+        ids.splice(0, ids.length - maxMessages).forEach((id) => messages.delete(id));
+      }
+      return message;
+    },
+
+    async get(id) {
+      const message = messages.get(id);
+      return message ? structuredClone(message) : null;
+    },
+
+    async list(scope, query = {}) {
+      const ids = scopes.get(scope) || [];
+
+      let cursorIndex = null;
+      const cursor = query.before || query.after;
+      if (cursor) {
+        cursorIndex = ids.indexOf(cursor);
+        if (cursorIndex === -1) return { messages: [], hasMore: false };
+      }
+
+      const { start, stop, hasMore } = pageRange(ids.length, cursorIndex, query);
+      if (stop < start) return { messages: [], hasMore: false };
+
+      return {
+        messages: ids
+          .slice(start, stop + 1)
+          .filter((id) => messages.has(id))
+          .map((id) => structuredClone(messages.get(id))),
+        hasMore
+      };
+    },
+
+    async update(id, updater) {
+      const current = messages.get(id);
+      if (!current) return null;
+
+      const updated = updater(structuredClone(current));
+      if (!updated) return structuredClone(current);
+
+      messages.set(id, structuredClone(updated));
+      return updated;
+    },
+
+    async countAfter(scope, id) {
+      const ids = scopes.get(scope) || [];
+      if (!id) return ids.length;
+
+      const index = ids.indexOf(id);
+      return index === -1 ? null : ids.length - index - 1;
+    },
+
+    async link(scope, message) {
+      const ids = scopes.get(scope) || [];
+      ids.push(message.id);
+      scopes.set(scope, ids);
+
+      if (maxMessages > 0 && ids.length > maxMessages) {
+        ids.splice(0, ids.length - maxMessages);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createRedisMessageStore,
+  createMemoryMessageStore,
+  roomScope,
+  privateScope,
+  threadScope,
+  conversationScope
+};
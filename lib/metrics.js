@@ -0,0 +1,236 @@
+// lib/metrics.js
+
+/**
+ * Registry metrik sederhana (counter, gauge, histogram) dengan output format teks Prometheus.
+ * Nilai disimpan per node; Prometheus men-scrape setiap node dan menjumlahkannya sendiri.
+ * Metrik: inc/set/observe(labels, value), label yang tidak diisi bernilai "".
+ */
+
+// Bucket default histogram dalam detik (latency event / Redis)
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+};
+
+/**
+ * @returns {{ counter: Function, gauge: Function, histogram: Function, render: () => string, toJSON: () => Object[] }}
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  // Series per kombinasi label, key = JSON nilai label sesuai urutan labelNames
+  const define = (type, name, help, labelNames, extra = {}) => {
+    const series = new Map();
+    const labelsOf = (labels = {}) => Object.fromEntries(labelNames.map((label) => [label, labels[label] ?? ""]));
+    const seriesOf = (labels, create) => {
+      const normalized = labelsOf(labels);
+      const key = JSON.stringify(Object.values(normalized));
+      if (!series.has(key)) series.set(key, { labels: normalized, ...create() });
+      return series.get(key);
+    };
+
+    const metric = { type, name, help, series, seriesOf, ...extra };
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /**
+     * Counter yang hanya bertambah.
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     */
+    counter(name, help, labelNames = []) {
+      const metric = define("counter", name, help, labelNames);
+      return {
+        inc(labels, value = 1) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value += value;
+        }
+      };
+    },
+
+    /**
+     * Gauge; dengan `collect`, nilai dihitung ulang setiap kali metrik dibaca.
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {() => number} [collect] - nilai gauge tanpa label
+     */
+    gauge(name, help, labelNames = [], collect = null) {
+      const metric = define("gauge", name, help, labelNames, { collect });
+      return {
+        set(labels, value) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value = value;
+        },
+        inc(labels, value = 1) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value += value;
+        },
+        dec(labels, value = 1) {
+          metric.seriesOf(labels, () => ({ value: 0 })).value -= value;
+        }
+      };
+    },
+
+    /**
+     * Histogram kumulatif (bucket `le`, `_sum`, `_count`).
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @param {number[]} [buckets] - batas atas bucket, urut naik (default: DEFAULT_BUCKETS)
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const metric = define("histogram", name, help, labelNames, { buckets });
+      return {
+        observe(labels, value) {
+          const entry = metric.seriesOf(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+
+        // Timer: panggil fungsi yang dikembalikan saat operasi selesai
+        startTimer(labels) {
+          const started = process.hrtime.bigint();
+          return (extraLabels) => this.observe(
+            { ...labels, ...extraLabels },
+            Number(process.hrtime.bigint() - started) / 1e9
+          );
+        }
+      };
+    },
+
+    // Teks exposition format Prometheus (text/plain; version=0.0.4)
+    render() {
+      const lines = [];
+      for (const metric of metrics) {
+        lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+        lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+        if (metric.collect) {
+          lines.push(`${metric.name} ${formatValue(metric.collect())}`);
+          continue;
+        }
+
+        for (const entry of metric.series.values()) {
+          if (metric.type !== "histogram") {
+            lines.push(`${metric.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+            continue;
+          }
+
+          metric.buckets.forEach((bound, index) => {
+            lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`);
+          });
+          lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: "+Inf" })} ${entry.count}`);
+          lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return `${lines.join("\n")}\n`;
+    },
+
+    // Snapshot untuk dipakai di kode: [{ name, help, type, values: [{ labels, value | buckets, sum, count }] }]
+    toJSON() {
+      return metrics.map((metric) => {
+        let values;
+        if (metric.collect) {
+          values = [{ labels: {}, value: metric.collect() }];
+        } else if (metric.type === "histogram") {
+          values = [...metric.series.values()].map((entry) => ({
+            labels: { ...entry.labels },
+            buckets: Object.fromEntries(metric.buckets.map((bound, index) => [bound, entry.counts[index]])),
+            sum: entry.sum,
+            count: entry.count
+          }));
+        } else {
+          values = [...metric.series.values()].map((entry) => ({ labels: { ...entry.labels }, value: entry.value }));
+        }
+        return { name: metric.name, help: metric.help, type: metric.type, values };
+      });
+    }
+  };
+}
+
+/**
+ * Metrik chat server. Label `room` berisi nama room terdaftar, "other" untuk room yang tidak
+ * terdaftar, kosong untuk pesan private / global (selalu kosong kalau roomLabels false).
+ * @param {Object} options
+ * @param {() => number} options.connectedSockets - jumlah socket yang terhubung ke node ini
+ */
+function createChatMetrics(options) {
+  const { connectedSockets } = options;
+  const registry = createMetricsRegistry();
+
+  const redisCommands = registry.counter("chat_redis_commands_total", "Redis round-trips by command and result", ["command", "status"]);
+  const redisDuration = registry.histogram("chat_redis_command_duration_seconds", "Redis round-trip latency", ["command"]);
+
+  return {
+    registry,
+    connections: registry.counter("chat_connections_total", "Socket connections accepted by this node"),
+    connectedSockets: registry.gauge("chat_connected_sockets", "Sockets currently connected to this node", [], connectedSockets),
+    disconnects: registry.counter("chat_disconnects_total", "Socket disconnects by reason", ["reason"]),
+    events: registry.counter("chat_events_total", "Socket events received by event name", ["event"]),
+    rejected: registry.counter("chat_events_rejected_total", "Socket events answered with an error, by error code", ["event", "code"]),
+    rateLimited: registry.counter("chat_rate_limited_total", "Socket events dropped by the rate limiter", ["event"]),
+    eventDuration: registry.histogram("chat_event_duration_seconds", "Time from receiving a socket event to its ack", ["event"]),
+    messages: registry.counter("chat_messages_total", "Messages delivered by type and room", ["type", "room"]),
+    emitLatency: registry.histogram("chat_message_emit_latency_seconds", "Time from message creation to broadcast", ["type"]),
+
+    // Recorder untuk instrumentRedisClient
+    redis: {
+      observe(command, seconds, failed) {
+        redisCommands.inc({ command, status: failed ? "error" : "ok" });
+        redisDuration.observe({ command }, seconds);
+      }
+    }
+  };
+}
+
+/**
+ * Bungkus Redis client supaya setiap command (satu round-trip) dihitung dan diukur durasinya.
+ * MULTI dihitung sekali saat exec(); executeIsolated dihitung sebagai satu operasi "isolated".
+ * @param {any} client - Redis client (node-redis v4)
+ * @param {{ observe: (command: string, seconds: number, failed: boolean) => void }} recorder
+ */
+function instrumentRedisClient(client, recorder) {
+  const timed = (command, promise) => {
+    const started = process.hrtime.bigint();
+    const record = (failed) => recorder.observe(command, Number(process.hrtime.bigint() - started) / 1e9, failed);
+    promise.then(() => record(false), () => record(true));
+    return promise;
+  };
+
+  return new Proxy(client, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== "function" || typeof property !== "string") return value;
+
+      return (...args) => {
+        if (property === "multi") {
+          const multi = value.apply(target, args);
+          const exec = multi.exec.bind(multi);
+          multi.exec = (...execArgs) => timed("multi", exec(...execArgs));
+          return multi;
+        }
+
+        const result = value.apply(target, args);
+        if (!result || typeof result.then !== "function") return result;
+        return timed(property === "executeIsolated" ? "isolated" : property, result);
+      };
+    }
+  });
+}
+
+module.exports = { createMetricsRegistry, createChatMetrics, instrumentRedisClient, DEFAULT_BUCKETS };
@@ -0,0 +1,284 @@
+// lib/moderation.js
+
+/**
+ * Moderation store: mute, ban, slow-mode dan audit log, dipakai bersama
+ * oleh semua node di cluster. `room` null berarti berlaku di seluruh namespace.
+ * Mute: { userId, room, until, reason, by, ts }   (until null = permanen)
+ * Ban:  { userId, ip, room, until, reason, by, ts }
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   mute(entry) / unmute(userId, room)          -> void / boolean
+ *   findMute(userId, room)                      -> Mute | null   (mute room atau namespace)
+ *   ban(entry) / unban({ userId, ip, room })    -> void / boolean
+ *   findBan({ userId, ip, room })               -> Ban | null    (ban room atau namespace)
+ *   setSlowMode(room, interval) / getSlowMode(room) -> void / number (ms, 0 = nonaktif)
+ *   hitSlowMode(room, userId, interval)         -> sisa waktu tunggu dalam ms, 0 kalau boleh kirim
+ *   list()                                      -> { mutes, bans, slowMode }
+ *   audit(entry) / auditLog({ room, limit })    -> void / Entry[] (terbaru dulu)
+ */
+
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Field hash yang tidak ambigu walaupun nama room mengandung ":"
+const field = (room, kind, value) => JSON.stringify([room ?? null, kind, value]);
+
+const isActive = (entry, now) => entry && (entry.until == null || entry.until > now);
+
+/**
+ * Moderation store berbasis Redis: hash untuk mute/ban/slow-mode, key dengan
+ * expiry untuk jeda slow-mode per user, dan list untuk audit log.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ * @param {number} [options.maxAuditEntries] - panjang maksimal audit log (default: 1000)
+ */
+function createRedisModerationStore(client, options = {}) {
+  const { prefix = "chat", maxAuditEntries = MAX_AUDIT_ENTRIES } = options;
+
+  const mutesKey = `${prefix}:moderation:mutes`;
+  const bansKey = `${prefix}:moderation:bans`;
+  const slowModeKey = `${prefix}:moderation:slowmode`;
+  const auditKey = `${prefix}:moderation:audit`;
+  const slowKey = (room, userId) => `${prefix}:moderation:slow:${room}:${userId}`;
+
+  // Ambil entry aktif dari beberapa field; entry yang sudah lewat `until` dihapus
+  const findActive = async (key, fields) => {
+    const raws = await client.hmGet(key, fields);
+    const now = Date.now();
+
+    for (const [index, raw] of raws.entries()) {
+      if (!raw) continue;
+      const entry = JSON.parse(raw);
+      if (isActive(entry, now)) return entry;
+      await client.hDel(key, fields[index]);
+    }
+    return null;
+  };
+
+  const listActive = async (key) => {
+    const entries = await client.hGetAll(key);
+    const now = Date.now();
+    const active = [];
+
+    for (const [name, raw] of Object.entries(entries)) {
+      const entry = JSON.parse(raw);
+      if (isActive(entry, now)) {
+        active.push(entry);
+      } else {
+        await client.hDel(key, name);
+      }
+    }
+    return active.sort((a, b) => a.ts - b.ts);
+  };
+
+  return {
+    async mute(entry) {
+      await client.hSet(mutesKey, field(entry.room, "user", entry.userId), JSON.stringify(entry));
+    },
+
+    async unmute(userId, room) {
+      return (await client.hDel(mutesKey, field(room, "user", userId))) > 0;
+    },
+
+    findMute(userId, room) {
+      const fields = [field(null, "user", userId)];
+      if (room) fields.unshift(field(room, "user", userId));
+      return findActive(mutesKey, fields);
+    },
+
+    async ban(entry) {
+      const fields = [];
+      if (entry.userId) fields.push(field(entry.room, "user", entry.userId));
+      if (entry.ip) fields.push(field(entry.room, "ip", entry.ip));
+
+      const multi = client.multi();
+      fields.forEach((name) => multi.hSet(bansKey, name, JSON.stringify(entry)));
+      await multi.exec();
+    },
+
+    async unban({ userId, ip, room }) {
+      const fields = [];
+      if (userId) fields.push(field(room, "user", userId));
+      if (ip) fields.push(field(room, "ip", ip));
+      if (fields.length === 0) return false;
+      return (await client.hDel(bansKey, fields)) > 0;
+    },
+
+    findBan({ userId, ip, room }) {
+      const fields = [];
+      for (const scope of room ? [room, null] : [null]) {
+        if (userId) fields.push(field(scope, "user", userId));
+        if (ip) fields.push(field(scope, "ip", ip));
+      }
+      return fields.length ? findActive(bansKey, fields) : Promise.resolve(null);
+    },
+
+    async setSlowMode(room, interval) {
+      if (interval > 0) {
+        await client.hSet(slowModeKey, room, String(interval));
+      } else {
+        await client.hDel(slowModeKey, room);
+      }
+    },
+
+    async getSlowMode(room) {
+      return Number(await client.hGet(slowModeKey, room)) || 0;
+    },
+
+    async hitSlowMode(room, userId, interval) {
+      const allowed = await client.set(slowKey(room, userId), "1", { NX: true, PX: interval });
+      if (allowed) return 0;
+      return Math.max(await client.pTTL(slowKey(room, userId)), 1);
+    },
+
+    async list() {
+      const [mutes, bans, slowMode] = await Promise.all([
+        listActive(mutesKey),
+        listActive(bansKey),
+        client.hGetAll(slowModeKey)
+      ]);
+
+      return {
+        mutes,
+        // Ban user + IP disimpan di dua field, tampilkan sekali
+        bans: bans.filter((ban, index) => bans.findIndex((other) => other.id === ban.id) === index),
+        slowMode: Object.fromEntries(Object.entries(slowMode).map(([room, interval]) => [room, Number(interval)]))
+      };
+    },
+
+    async audit(entry) {
+      await client.multi()
+        .lPush(auditKey, JSON.stringify(entry))
+        .lTrim(auditKey, 0, maxAuditEntries - 1)
+        .exec();
+    },
+
+    async auditLog({ room, limit = 50 } = {}) {
+      const raws = await client.lRange(auditKey, 0, -1);
+      return raws
+        .map((raw) => JSON.parse(raw))
+        .filter((entry) => room === undefined || entry.room === room)
+        .slice(0, limit);
+    }
+  };
+}
+
+/**
+ * Moderation store di memori proses ini (backend "memory").
+ * @param {Object} [options]
+ * @param {number} [options.maxAuditEntries] - panjang maksimal audit log (default: 1000)
+ */
+function createMemoryModerationStore(options = {}) {
+  const { maxAuditEntries = MAX_AUDIT_ENTRIES } = options;
+
+  const mutes = new Map();
+  const bans = new Map();
+  const slowMode = new Map();
+  // room+user -> waktu boleh kirim lagi
+  const slowUntil = new Map();
+  const auditEntries = [];
+
+  const findActive = (entries, fields) => {
+    const now = Date.now();
+    for (const name of fields) {
+      const entry = entries.get(name);
+      if (!entry) continue;
+      if (isActive(entry, now)) return structuredClone(entry);
+      entries.delete(name);
+    }
+    return null;
+  };
+
+  const listActive = (entries) => {
+    const now = Date.now();
+    for (const [name, entry] of entries) {
+      if (!isActive(entry, now)) entries.delete(name);
+    }
+    return [...entries.values()].map((entry) => structuredClone(entry)).sort((a, b) => a.ts - b.ts);
+  };
+
+  return {
+    async mute(entry) {
+      mutes.set(field(entry.room, "user", entry.userId), structuredClone(entry));
+    },
+
+    async unmute(userId, room) {
+      return mutes.delete(field(room, "user", userId));
+    },
+
+    async findMute(userId, room) {
+      const fields = [field(null, "user", userId)];
+      if (room) fields.unshift(field(room, "user", userId));
+      return findActive(mutes, fields);
+    },
+
+    async ban(entry) {
+      if (entry.userId) bans.set(field(entry.room, "user", entry.userId), structuredClone(entry));
+      if (entry.ip) bans.set(field(entry.room, "ip", entry.ip), structuredClone(entry));
+    },
+
+    async unban({ userId, ip, room }) {
+      const removedUser = userId ? bans.delete(field(room, "user", userId)) : false;
+      const removedIp = ip ? bans.delete(field(room, "ip", ip)) : false;
+      return removedUser || removedIp;
+    },
+
+    async findBan({ userId, ip, room }) {
+      const fields = [];
+      for (const scope of room ? [room, null] : [null]) {
+        if (userId) fields.push(field(scope, "user", userId));
+        if (ip) fields.push(field(scope, "ip", ip));
+      }
+      return findActive(bans, fields);
+    },
+
+    async setSlowMode(room, interval) {
+      if (interval > 0) {
+        slowMode.set(room, interval);
+      } else {
+        slowMode.delete(room);
+      }
+    },
+
+    async getSlowMode(room) {
+      return slowMode.get(room) || 0;
+    },
+
+    async hitSlowMode(room, userId, interval) {
+      const key = JSON.stringify([room, userId]);
+      const now = Date.now();
+      const until = slowUntil.get(key);
+      if (until > now) return until - now;
+
+      // Jeda yang sudah lewat tidak perlu disimpan
+      for (const [other, otherUntil] of slowUntil) {
+        if (otherUntil <= now) slowUntil.delete(other);
+      }
+
+      slowUntil.set(key, now + interval);
+      return 0;
+    },
+
+    async list() {
+      const bansActive = listActive(bans);
+      return {
+        mutes: listActive(mutes),
+        // Ban user + IP disimpan di dua field, tampilkan sekali
+        bans: bansActive.filter((ban, index) => bansActive.findIndex((other) => other.id === ban.id) === index),
+        slowMode: Object.fromEntries(slowMode)
+      };
+    },
+
+    async audit(entry) {
+      auditEntries.unshift(structuredClone(entry));
+      auditEntries.splice(maxAuditEntries);
+    },
+
+    async auditLog({ room, limit = 50 } = {}) {
+      return structuredClone(auditEntries
+        .filter((entry) => room === undefined || entry.room === room)
+        .slice(0, limit));
+    }
+  };
+}
+
+module.exports = { createRedisModerationStore, createMemoryModerationStore };
@@ -0,0 +1,81 @@
+// lib/offline-queue.js
+
+/**
+ * Antrian private message untuk user yang sedang offline, dikirim saat user:join berikutnya.
+ * Yang disimpan hanya id pesan; isi pesan diambil lagi dari message store saat dikirim,
+ * jadi edit/hapus selama pesan mengantri tetap terlihat.
+ * Entry: { messageId, queuedAt }
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   push(userId, entry) -> jumlah entry di antrian user (setelah dipotong ke maxMessages)
+ *   drain(userId)       -> Entry[] (urut dari yang paling lama, antrian dikosongkan)
+ *   size(userId)        -> number
+ */
+
+/**
+ * Offline queue berbasis Redis (satu list per user).
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ * @param {number} [options.maxMessages] - maksimal pesan mengantri per user, yang paling lama dibuang (default: 100)
+ * @param {number} [options.retention] - umur maksimal pesan di antrian dalam ms (default: 7 hari)
+ */
+function createRedisOfflineQueue(client, options = {}) {
+  const { prefix = "chat", maxMessages = 100, retention = 7 * 24 * 60 * 60 * 1000 } = options;
+  const key = (userId) => `${prefix}:offline:${userId}`;
+
+  return {
+    async push(userId, entry) {
+      const [length] = await client
+        .multi()
+        .rPush(key(userId), JSON.stringify(entry))
+        .lTrim(key(userId), -maxMessages, -1)
+        .pExpire(key(userId), retention)
+        .exec();
+      return Math.min(Number(length), maxMessages);
+    },
+
+    async drain(userId) {
+      const [raws] = await client.multi().lRange(key(userId), 0, -1).del(key(userId)).exec();
+      const oldest = Date.now() - retention;
+      return raws.map((raw) => JSON.parse(raw)).filter((entry) => entry.queuedAt > oldest);
+    },
+
+    size(userId) {
+      return client.lLen(key(userId));
+    }
+  };
+}
+
+/**
+ * Offline queue di memori proses ini (backend "memory").
+ * @param {Object} [options]
+ * @param {number} [options.maxMessages] - maksimal pesan mengantri per user, yang paling lama dibuang (default: 100)
+ * @param {number} [options.retention] - umur maksimal pesan di antrian dalam ms (default: 7 hari)
+ */
+function createMemoryOfflineQueue(options = {}) {
+  const { maxMessages = 100, retention = 7 * 24 * 60 * 60 * 1000 } = options;
+  const queues = new Map();
+
+  return {
+    async push(userId, entry) {
+      const queue = queues.get(userId) || [];
+      queue.push({ ...entry });
+      if (queue.length > maxMessages) queue.splice(0, queue.length - maxMessages);
+      queues.set(userId, queue);
+      return queue.length;
+    },
+
+    async drain(userId) {
+      const queue = queues.get(userId) || [];
+      queues.delete(userId);
+      const oldest = Date.now() - retention;
+      return queue.filter((entry) => entry.queuedAt > oldest);
+    },
+
+    async size(userId) {
+      return queues.get(userId)?.length || 0;
+    }
+  };
+}
+
+module.exports = { createRedisOfflineQueue, createMemoryOfflineQueue };
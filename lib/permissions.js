@@ -0,0 +1,98 @@
+// lib/permissions.js
+
+/**
+ * Model permission default.
+ * Role global (user.role / user.roles): admin, moderator, member, guest.
+ * Role per room (dari room registry): owner, moderator, member, read-only.
+ *
+ * Action yang dicek beserta resource-nya:
+ *   room:create, room:join, room:read, room:write, room:update, room:delete,
+ *   room:invite, room:kick, room:transfer, room:roles, room:moderate
+ *                                  -> { type: "room", name, room }  (room null kalau tidak terdaftar)
+ *   message:read, message:edit, message:delete
+ *                                  -> { type: "message", message, authorId, participants, room }
+ *                                     (message:read untuk percakapan: { type: "conversation", conversation, participants })
+ *   message:private                -> { type: "user", userId }, atau { type: "conversation",
+ *                                     conversation, participants } saat mengirim ke percakapan
+ *   user:read                      -> { type: "user", userId }
+ *   server:read, server:broadcast, server:moderate, server:webhooks -> { type: "server" }
+ */
+
+const GLOBAL_ROLES = ["admin", "moderator", "member", "guest"];
+const ROOM_ROLES = ["owner", "moderator", "member", "read-only"];
+
+/**
+ * Role global tertinggi milik user, null kalau tidak ada role yang dikenal.
+ * @param {Object} user
+ * @returns {string|null}
+ */
+function globalRoleOf(user) {
+  const roles = [].concat(user?.roles ?? user?.role ?? []);
+  return GLOBAL_ROLES.find((role) => roles.includes(role)) ?? null;
+}
+
+/**
+ * Role user di sebuah room terdaftar, null kalau bukan member.
+ * @param {Object|null} room - data room dari room registry
+ * @param {string} userId
+ * @returns {string|null}
+ */
+function roomRoleOf(room, userId) {
+  if (!room) return null;
+  if (room.owner === userId) return "owner";
+  if (!room.members.includes(userId)) return null;
+  return room.roles?.[userId] ?? "member";
+}
+
+const isRoomManager = (role) => role === "owner" || role === "moderator";
+
+/**
+ * Kebijakan default: admin boleh semuanya, moderator semuanya kecuali
+ * server:broadcast dan server:webhooks, member/guest ditentukan role-nya di room.
+ * @param {Object} user - { id, role }
+ * @param {string} action
+ * @param {Object} [resource]
+ * @returns {boolean}
+ */
+function isAllowed(user, action, resource = {}) {
+  const role = globalRoleOf(user) ?? "guest";
+  if (role === "admin") return true;
+  if (role === "moderator") return action !== "server:broadcast" && action !== "server:webhooks";
+
+  const { room } = resource;
+  const roomRole = roomRoleOf(room, user.id);
+  const canSeeRoom = !room?.isPrivate || roomRole !== null;
+
+  switch (action) {
+    case "room:join":
+    case "room:read":
+      return canSeeRoom;
+    case "room:write":
+      return role !== "guest" && canSeeRoom && roomRole !== "read-only";
+    case "room:create":
+      return role !== "guest";
+    case "message:private":
+      return role !== "guest" && (!resource.participants || resource.participants.includes(user.id));
+    case "room:invite":
+    case "room:kick":
+    case "room:moderate":
+      return isRoomManager(roomRole);
+    case "room:update":
+    case "room:delete":
+    case "room:transfer":
+    case "room:roles":
+      return roomRole === "owner";
+    case "message:read":
+      return resource.participants ? resource.participants.includes(user.id) : canSeeRoom;
+    case "message:edit":
+      return resource.authorId === user.id;
+    case "message:delete":
+      return resource.authorId === user.id || isRoomManager(roomRole);
+    case "user:read":
+      return resource.userId === user.id;
+    default:
+      return false;
+  }
+}
+
+module.exports = { GLOBAL_ROLES, ROOM_ROLES, globalRoleOf, roomRoleOf, isAllowed };
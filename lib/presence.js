@@ -0,0 +1,313 @@
+// lib/presence.js
+const os = require("os");
+const crypto = require("crypto");
+const { createLogger } = require("./logger");
+
+/**
+ * Presence registry dipakai bersama oleh semua node di cluster.
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   add(socketId, user)     -> { user, first }   first = koneksi pertama user di cluster
+ *   remove(socketId)        -> { user, last } | null
+ *   update(userId, patch)   -> User | null
+ *   get(userId)             -> User | null
+ *   list()                  -> User[]
+ *   close()                 -> User[]   hapus semua koneksi node ini (shutdown), mengembalikan
+ *                                       user yang jadi offline karenanya
+ * plus start()/stop() untuk heartbeat node.
+ */
+
+const defaultNodeId = () =>
+  `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+// KEYS: users, sockets, counts | ARGV: socketId, userId, user JSON, socket entry JSON
+const ADD_SCRIPT = `
+local previous = redis.call('HGET', KEYS[2], ARGV[1])
+redis.call('HSET', KEYS[1], ARGV[2], ARGV[3])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[4])
+if previous and cjson.decode(previous).userId == ARGV[2] then return 0 end
+return redis.call('HINCRBY', KEYS[3], ARGV[2], 1)
+`;
+
+// KEYS: sockets, counts, users | ARGV: socketId
+const REMOVE_SCRIPT = `
+local entry = redis.call('HGET', KEYS[1], ARGV[1])
+if not entry then return false end
+redis.call('HDEL', KEYS[1], ARGV[1])
+local userId = cjson.decode(entry).userId
+local user = redis.call('HGET', KEYS[3], userId) or ''
+local count = redis.call('HINCRBY', KEYS[2], userId, -1)
+if count <= 0 then
+  redis.call('HDEL', KEYS[2], userId)
+  redis.call('HDEL', KEYS[3], userId)
+end
+return { user, count }
+`;
+
+// KEYS: users | ARGV: userId, patch JSON
+// Merge dilakukan di Redis supaya update bersamaan (mis. status dan avatar) tidak saling
+// menimpa field. Catatan cjson: array kosong di data user tersimpan ulang sebagai {}.
+const UPDATE_SCRIPT = `
+local raw = redis.call('HGET', KEYS[1], ARGV[1])
+if not raw then return false end
+local user = cjson.decode(raw)
+for field, value in pairs(cjson.decode(ARGV[2])) do user[field] = value end
+local updated = cjson.encode(user)
+redis.call('HSET', KEYS[1], ARGV[1], updated)
+return updated
+`;
+
+/**
+ * Presence registry berbasis Redis.
+ * Node mengirim heartbeat ke sorted set `nodes`; koneksi milik node yang
+ * heartbeat-nya lebih lama dari `ttl` dianggap crash dan dibersihkan.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ * @param {string} [options.nodeId] - id unik node ini (default: hostname:pid:random)
+ * @param {number} [options.ttl] - batas umur heartbeat node dalam ms (default: 30000)
+ * @param {(users: Object[]) => void} [options.onExpired] - dipanggil dengan user yang offline karena node crash
+ * @param {(users: Object[]) => void} [options.onRestored] - dipanggil dengan user yang didaftarkan ulang setelah node ini sempat dianggap crash
+ * @param {Object} [options.logger] - logger dari createLogger (default: logger JSON bawaan)
+ */
+function createRedisPresence(client, options = {}) {
+  const {
+    prefix = "chat",
+    nodeId = defaultNodeId(),
+    ttl = 30000,
+    onExpired,
+    onRestored,
+    logger = createLogger(),
+  } = options;
+
+  const keys = {
+    users: `${prefix}:presence:users`,
+    sockets: `${prefix}:presence:sockets`,
+    counts: `${prefix}:presence:counts`,
+    nodes: `${prefix}:presence:nodes`
+  };
+
+  // Koneksi milik node ini, dipakai untuk registrasi ulang setelah cleanup
+  const localSockets = new Map();
+  let timer = null;
+
+  const add = async (socketId, user) => {
+    localSockets.set(socketId, user);
+
+    // Socket yang join ulang dengan user yang sama tidak menambah hitungan koneksi
+    const count = await client.eval(ADD_SCRIPT, {
+      keys: [keys.users, keys.sockets, keys.counts],
+      arguments: [socketId, user.id, JSON.stringify(user), JSON.stringify({ userId: user.id, nodeId })]
+    });
+
+    return { user, first: Number(count) === 1 };
+  };
+
+  const removeSocket = async (socketId) => {
+    const result = await client.eval(REMOVE_SCRIPT, {
+      keys: [keys.sockets, keys.counts, keys.users],
+      arguments: [socketId]
+    });
+    if (!result) return null;
+
+    const [rawUser, count] = result;
+    return { user: rawUser ? JSON.parse(rawUser) : null, last: Number(count) <= 0 };
+  };
+
+  const get = async (userId) => {
+    const raw = await client.hGet(keys.users, userId);
+    return raw ? JSON.parse(raw) : null;
+  };
+
+  // Bersihkan koneksi milik node yang heartbeat-nya sudah kedaluwarsa
+  const cleanup = async () => {
+    const staleNodes = await client.zRangeByScore(keys.nodes, 0, Date.now() - ttl);
+    const expired = [];
+
+    for (const staleNode of staleNodes) {
+      // zRem hanya mengembalikan 1 ke satu node, jadi cleanup tidak dobel
+      const claimed = await client.zRem(keys.nodes, staleNode);
+      if (!claimed) continue;
+
+      const sockets = await client.hGetAll(keys.sockets);
+      for (const [socketId, raw] of Object.entries(sockets)) {
+        if (JSON.parse(raw).nodeId !== staleNode) continue;
+        const removed = await removeSocket(socketId);
+        if (removed?.last && removed.user) expired.push(removed.user);
+      }
+    }
+
+    return expired;
+  };
+
+  const heartbeat = async () => {
+    const added = await client.zAdd(keys.nodes, { score: Date.now(), value: nodeId });
+    if (!added || localSockets.size === 0) return [];
+
+    // Node ini sempat dianggap crash oleh node lain: daftarkan ulang koneksinya
+    const restored = [];
+    for (const [socketId, user] of localSockets) {
+      if (await client.hExists(keys.sockets, socketId)) continue;
+      const { first } = await add(socketId, user);
+      if (first) restored.push(user);
+    }
+    return restored;
+  };
+
+  const tick = async () => {
+    try {
+      const restored = await heartbeat();
+      if (restored.length) onRestored?.(restored);
+
+      const expired = await cleanup();
+      if (expired.length) onExpired?.(expired);
+    } catch (error) {
+      logger.error("Presence heartbeat failed", { nodeId, error: error.message });
+    }
+  };
+
+  return {
+    nodeId,
+
+    add,
+
+    async remove(socketId) {
+      localSockets.delete(socketId);
+      return removeSocket(socketId);
+    },
+
+    async update(userId, patch) {
+      const raw = await client.eval(UPDATE_SCRIPT, {
+        keys: [keys.users],
+        arguments: [userId, JSON.stringify(patch)]
+      });
+      if (!raw) return null;
+
+      const updated = JSON.parse(raw);
+
+      for (const [socketId, localUser] of localSockets) {
+        if (localUser.id === userId) localSockets.set(socketId, updated);
+      }
+      return updated;
+    },
+
+    get,
+
+    async list() {
+      const users = await client.hVals(keys.users);
+      return users.map((raw) => JSON.parse(raw));
+    },
+
+    cleanup,
+
+    async close() {
+      clearInterval(timer);
+      timer = null;
+      localSockets.clear();
+
+      const offline = [];
+      const sockets = await client.hGetAll(keys.sockets);
+      for (const [socketId, raw] of Object.entries(sockets)) {
+        if (JSON.parse(raw).nodeId !== nodeId) continue;
+        const removed = await removeSocket(socketId);
+        if (removed?.last && removed.user) offline.push(removed.user);
+      }
+
+      await client.zRem(keys.nodes, nodeId);
+      return offline;
+    },
+
+    start() {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, Math.max(1000, Math.floor(ttl / 3)));
+      timer.unref?.();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Presence registry di memori proses ini (backend "memory"). Hanya untuk satu node,
+ * jadi tidak ada heartbeat: start()/stop() tidak melakukan apa-apa dan cleanup() selalu kosong.
+ * @param {Object} [options]
+ * @param {string} [options.nodeId] - id unik node ini (default: hostname:pid:random)
+ */
+function createMemoryPresence(options = {}) {
+  const { nodeId = defaultNodeId() } = options;
+
+  const users = new Map();
+  // socketId -> userId, userId -> jumlah koneksi
+  const sockets = new Map();
+  const counts = new Map();
+
+  return {
+    nodeId,
+
+    async add(socketId, user) {
+      const previous = sockets.get(socketId);
+      users.set(user.id, structuredClone(user));
+      sockets.set(socketId, user.id);
+      if (previous === user.id) return { user, first: false };
+
+      const count = (counts.get(user.id) || 0) + 1;
+      counts.set(user.id, count);
+      return { user, first: count === 1 };
+    },
+
+    async remove(socketId) {
+      if (!sockets.has(socketId)) return null;
+
+      const userId = sockets.get(socketId);
+      sockets.delete(socketId);
+      const user = users.get(userId) ?? null;
+      const count = (counts.get(userId) || 0) - 1;
+      if (count <= 0) {
+        counts.delete(userId);
+        users.delete(userId);
+      } else {
+        counts.set(userId, count);
+      }
+      return { user: user && structuredClone(user), last: count <= 0 };
+    },
+
+    async update(userId, patch) {
+      const user = users.get(userId);
+      if (!user) return null;
+
+      const updated = { ...user, ...structuredClone(patch) };
+      users.set(userId, updated);
+      return structuredClone(updated);
+    },
+
+    async get(userId) {
+      const user = users.get(userId);
+      return user ? structuredClone(user) : null;
+    },
+
+    async list() {
+      return [...users.values()].map((user) => structuredClone(user));
+    },
+
+    async cleanup() {
+      return [];
+    },
+
+    async close() {
+      const offline = [...users.values()];
+      users.clear();
+      sockets.clear();
+      counts.clear();
+      return offline;
+    },
+
+    start() {},
+
+    stop() {}
+  };
+}
+
+module.exports = { createRedisPresence, createMemoryPresence, defaultNodeId };
@@ -0,0 +1,172 @@
+// lib/rate-limit.js
+
+/**
+ * Rate limiter token bucket, state disimpan bersama oleh semua node di cluster.
+ * Bucket: { key, capacity, refillRate }  (refillRate = token per detik)
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   consume(buckets)                   -> 0 kalau boleh (satu token diambil dari semua bucket),
+ *                                         atau ms sampai boleh lagi (tidak ada token yang diambil)
+ *   recordViolation(userId, window)    -> jumlah pelanggaran user dalam window (ms)
+ *   resetViolations(userId)            -> void
+ */
+
+// KEYS: bucket | ARGV: now, lalu capacity dan refillRate (token/detik) per bucket
+// Semua bucket dicek dulu; token hanya diambil kalau semuanya masih punya token
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local tokens = {}
+local retryAfter = 0
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[i * 2])
+  local rate = tonumber(ARGV[i * 2 + 1]) / 1000
+  local state = redis.call('HMGET', key, 'tokens', 'ts')
+  local available = tonumber(state[1]) or capacity
+  local elapsed = math.max(0, now - (tonumber(state[2]) or now))
+  available = math.min(capacity, available + elapsed * rate)
+  if available < 1 then
+    retryAfter = math.max(retryAfter, math.ceil((1 - available) / rate))
+  end
+  tokens[i] = available
+end
+for i, key in ipairs(KEYS) do
+  local capacity = tonumber(ARGV[i * 2])
+  local rate = tonumber(ARGV[i * 2 + 1]) / 1000
+  local remaining = tokens[i]
+  if retryAfter == 0 then remaining = remaining - 1 end
+  redis.call('HSET', key, 'tokens', tostring(remaining), 'ts', ARGV[1])
+  redis.call('PEXPIRE', key, math.ceil(capacity / rate))
+end
+return retryAfter
+`;
+
+/**
+ * Rate limiter berbasis Redis (satu hash { tokens, ts } per bucket, diupdate atomik lewat Lua).
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ */
+function createRedisRateLimiter(client, options = {}) {
+  const { prefix = "chat" } = options;
+  const bucketKey = (name) => `${prefix}:ratelimit:${name}`;
+  const violationsKey = (userId) => `${prefix}:ratelimit:violations:${userId}`;
+
+  return {
+    async consume(buckets) {
+      const retryAfter = await client.eval(CONSUME_SCRIPT, {
+        keys: buckets.map((bucket) => bucketKey(bucket.key)),
+        arguments: [
+          String(Date.now()),
+          ...buckets.flatMap((bucket) => [String(bucket.capacity), String(bucket.refillRate)])
+        ]
+      });
+      return Number(retryAfter);
+    },
+
+    async recordViolation(userId, window) {
+      const count = await client.incr(violationsKey(userId));
+      if (count === 1) await client.pExpire(violationsKey(userId), window);
+      return count;
+    },
+
+    async resetViolations(userId) {
+      await client.del(violationsKey(userId));
+    }
+  };
+}
+
+/**
+ * Rate limiter di memori proses ini (backend "memory"), algoritma sama dengan versi Redis.
+ */
+function createMemoryRateLimiter() {
+  // key -> { tokens, ts, expiresAt }
+  const buckets = new Map();
+  // userId -> { count, expiresAt }
+  const violations = new Map();
+
+  // Bucket yang sudah penuh lagi tidak perlu disimpan; dibersihkan paling sering sekali per menit
+  let lastSweep = 0;
+  const sweep = (now) => {
+    if (now - lastSweep < 60000) return;
+    lastSweep = now;
+    for (const [key, state] of buckets) {
+      if (state.expiresAt <= now) buckets.delete(key);
+    }
+    for (const [userId, entry] of violations) {
+      if (entry.expiresAt <= now) violations.delete(userId);
+    }
+  };
+
+  const stateOf = (bucket, now) => {
+    const state = buckets.get(bucket.key);
+    const rate = bucket.refillRate / 1000;
+    if (!state || state.expiresAt <= now) return bucket.capacity;
+    return Math.min(bucket.capacity, state.tokens + Math.max(0, now - state.ts) * rate);
+  };
+
+  return {
+    async consume(list) {
+      const now = Date.now();
+      sweep(now);
+      const tokens = list.map((bucket) => stateOf(bucket, now));
+
+      let retryAfter = 0;
+      list.forEach((bucket, index) => {
+        if (tokens[index] < 1) {
+          retryAfter = Math.max(retryAfter, Math.ceil((1 - tokens[index]) / (bucket.refillRate / 1000)));
+        }
+      });
+
+      list.forEach((bucket, index) => {
+        buckets.set(bucket.key, {
+          tokens: retryAfter === 0 ? tokens[index] - 1 : tokens[index],
+          ts: now,
+          expiresAt: now + Math.ceil(bucket.capacity / (bucket.refillRate / 1000))
+        });
+      });
+      return retryAfter;
+    },
+
+    async recordViolation(userId, window) {
+      const now = Date.now();
+      const current = violations.get(userId);
+      const entry = current && current.expiresAt > now ? current : { count: 0, expiresAt: now + window };
+      entry.count += 1;
+      violations.set(userId, entry);
+      return entry.count;
+    },
+
+    async resetViolations(userId) {
+      violations.delete(userId);
+    }
+  };
+}
+
+/**
+ * Cek config rate limit saat server dibuat: capacity minimal 1 dan refillRate lebih dari 0,
+ * keduanya angka finite. Nilai lain membuat bucket tidak pernah terisi (retryAfter Infinity / NaN).
+ * @param {{ [event: string]: { user?: Object, room?: Object } | false }} rules
+ * @throws {Error} kalau ada bucket yang tidak valid
+ */
+function validateRateLimits(rules) {
+  for (const [event, rule] of Object.entries(rules)) {
+    if (rule === false) continue;
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`Invalid rate limit for "${event}": expected { user?, room? } or false`);
+    }
+
+    for (const scope of ["user", "room"]) {
+      const bucket = rule[scope];
+      if (bucket === undefined) continue;
+
+      const where = `rate limit "${event}" (${scope})`;
+      if (!Number.isFinite(bucket?.capacity) || bucket.capacity < 1) {
+        throw new Error(`Invalid ${where}: capacity must be a finite number >= 1, got ${bucket?.capacity}`);
+      }
+      if (!Number.isFinite(bucket.refillRate) || bucket.refillRate <= 0) {
+        throw new Error(`Invalid ${where}: refillRate must be a finite number > 0, got ${bucket.refillRate}`);
+      }
+    }
+  }
+}
+
+module.exports = { createRedisRateLimiter, createMemoryRateLimiter, validateRateLimits };
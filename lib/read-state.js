@@ -0,0 +1,79 @@
+// lib/read-state.js
+
+/**
+ * Read state menyimpan posisi baca terakhir tiap user per scope history.
+ * Posisi: { messageId, room, withUserId, ts }, messageId null berarti
+ * scope sudah dilacak (join room / terima private) tapi belum ada yang dibaca.
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   get(userId, scope)              -> Position | null
+ *   set(userId, scope, position)    -> void
+ *   track(userId, scope, position)  -> void   (hanya kalau belum ada posisi)
+ *   all(userId)                     -> { [scope]: Position }
+ */
+
+/**
+ * Read state berbasis Redis, satu hash per user (field = scope).
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ */
+function createRedisReadState(client, options = {}) {
+  const { prefix = "chat" } = options;
+  const key = (userId) => `${prefix}:reads:${userId}`;
+
+  return {
+    async get(userId, scope) {
+      const raw = await client.hGet(key(userId), scope);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(userId, scope, position) {
+      await client.hSet(key(userId), scope, JSON.stringify(position));
+    },
+
+    async track(userId, scope, position) {
+      await client.hSetNX(key(userId), scope, JSON.stringify(position));
+    },
+
+    async all(userId) {
+      const entries = await client.hGetAll(key(userId));
+      return Object.fromEntries(
+        Object.entries(entries).map(([scope, raw]) => [scope, JSON.parse(raw)])
+      );
+    }
+  };
+}
+
+/**
+ * Read state di memori proses ini (backend "memory").
+ */
+function createMemoryReadState() {
+  // userId -> Map scope -> Position
+  const users = new Map();
+  const positionsOf = (userId) => {
+    if (!users.has(userId)) users.set(userId, new Map());
+    return users.get(userId);
+  };
+
+  return {
+    async get(userId, scope) {
+      const position = users.get(userId)?.get(scope);
+      return position ? structuredClone(position) : null;
+    },
+
+    async set(userId, scope, position) {
+      positionsOf(userId).set(scope, structuredClone(position));
+    },
+
+    async track(userId, scope, position) {
+      const positions = positionsOf(userId);
+      if (!positions.has(scope)) positions.set(scope, structuredClone(position));
+    },
+
+    async all(userId) {
+      return structuredClone(Object.fromEntries(users.get(userId) || []));
+    }
+  };
+}
+
+module.exports = { createRedisReadState, createMemoryReadState };
@@ -0,0 +1,37 @@
+// lib/redis-json.js
+const { WatchError } = require("redis");
+
+const MAX_UPDATE_RETRIES = 5;
+
+/**
+ * Update nilai JSON di satu key Redis dengan optimistic locking (WATCH/MULTI),
+ * diulang kalau key berubah di tengah jalan.
+ * @param {any} client - Redis client (node-redis v4)
+ * @param {string} key - key Redis berisi JSON
+ * @param {(current: Object) => Object|null} updater - nilai baru, atau null kalau tidak ada perubahan
+ * @returns {Promise<Object|null>} nilai setelah update, null kalau key tidak ada
+ */
+async function updateJson(client, key, updater) {
+  for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+    try {
+      return await client.executeIsolated(async (isolated) => {
+        await isolated.watch(key);
+        const raw = await isolated.get(key);
+        if (!raw) return null;
+
+        const current = JSON.parse(raw);
+        const updated = updater(current);
+        if (!updated) return current;
+
+        await isolated.multi().set(key, JSON.stringify(updated)).exec();
+        return updated;
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError)) throw error;
+    }
+  }
+
+  throw new Error(`${key} is being updated concurrently, try again`);
+}
+
+module.exports = { updateJson };
@@ -0,0 +1,105 @@
+// lib/room-registry.js
+const { updateJson } = require("./redis-json");
+
+/**
+ * Room registry menyimpan data room yang dibuat lewat room:create / REST,
+ * dipakai bersama oleh semua node di cluster.
+ * Room: { name, id, owner, members, isPrivate, description, createdBy, createdAt, updatedAt }
+ * Setiap implementasi harus menyediakan method async berikut:
+ *   create(room)            -> Room | null   (null kalau nama sudah dipakai)
+ *   get(name)               -> Room | null
+ *   update(name, updater)   -> Room | null   (updater mengembalikan null kalau tidak ada perubahan)
+ *   remove(name)            -> boolean
+ *   list()                  -> Room[]
+ */
+
+/**
+ * Room registry berbasis Redis: satu key JSON per room plus set berisi nama room.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ */
+function createRedisRoomRegistry(client, options = {}) {
+  const { prefix = "chat" } = options;
+
+  const roomKey = (name) => `${prefix}:room:${name}`;
+  const indexKey = `${prefix}:rooms`;
+
+  return {
+    async create(room) {
+      const created = await client.set(roomKey(room.name), JSON.stringify(room), { NX: true });
+      if (!created) return null;
+
+      await client.sAdd(indexKey, room.name);
+      return room;
+    },
+
+    async get(name) {
+      const raw = await client.get(roomKey(name));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    update(name, updater) {
+      return updateJson(client, roomKey(name), updater);
+    },
+
+    async remove(name) {
+      const [removed] = await client.multi().del(roomKey(name)).sRem(indexKey, name).exec();
+      return Number(removed) > 0;
+    },
+
+    async list() {
+      const names = await client.sMembers(indexKey);
+      if (names.length === 0) return [];
+
+      const raws = await client.mGet(names.map(roomKey));
+      return raws
+        .filter(Boolean)
+        .map((raw) => JSON.parse(raw))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    }
+  };
+}
+
+/**
+ * Room registry di memori proses ini (backend "memory").
+ */
+function createMemoryRoomRegistry() {
+  const rooms = new Map();
+
+  return {
+    async create(room) {
+      if (rooms.has(room.name)) return null;
+      rooms.set(room.name, structuredClone(room));
+      return room;
+    },
+
+    async get(name) {
+      const room = rooms.get(name);
+      return room ? structuredClone(room) : null;
+    },
+
+    async update(name, updater) {
+      const current = rooms.get(name);
+      if (!current) return null;
+
+      const updated = updater(structuredClone(current));
+      if (!updated) return structuredClone(current);
+
+      rooms.set(name, structuredClone(updated));
+      return updated;
+    },
+
+    async remove(name) {
+      return rooms.delete(name);
+    },
+
+    async list() {
+      return [...rooms.values()]
+        .map((room) => structuredClone(room))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    }
+  };
+}
+
+module.exports = { createRedisRoomRegistry, createMemoryRoomRegistry };
@@ -0,0 +1,243 @@
+// lib/schemas.js
+
+/**
+ * Schema payload untuk semua event client -> server, dalam format JSON Schema
+ * (subset) supaya client bisa memakai schema yang sama, mis. dengan Ajv.
+ * Keyword yang didukung validatePayload: type, properties, required,
+ * additionalProperties, minLength, maxLength, minimum, maximum, enum, items,
+ * minItems, maxItems, anyOf, allOf, plus `maxBytes` (ukuran JSON.stringify dalam byte,
+ * bukan keyword standar). Schema dengan `default` menandai event yang boleh dikirim tanpa
+ * payload: server memakai nilai default itu sebelum validasi.
+ */
+
+const DEFAULT_MAX_TEXT_LENGTH = 4000;
+const DEFAULT_MAX_META_SIZE = 4096;
+const DEFAULT_MAX_ATTACHMENTS = 10;
+const DEFAULT_MAX_CONVERSATION_MEMBERS = 10;
+
+const string = (maxLength, minLength = 1) => ({ type: "string", minLength, maxLength });
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+const object = (properties, required = []) => ({
+  type: "object",
+  properties,
+  required,
+  additionalProperties: false
+});
+// Semua field opsional: event boleh dikirim tanpa payload (dianggap {})
+const optionalObject = (properties) => ({ ...object(properties), default: {} });
+
+/**
+ * Buat schema semua event dengan batas ukuran tertentu.
+ * @param {Object} [limits]
+ * @param {number} [limits.maxTextLength] - panjang maksimal teks pesan (default: 4000)
+ * @param {number} [limits.maxMetaSize] - ukuran maksimal `meta` dalam byte JSON (default: 4096)
+ * @param {number} [limits.maxAttachments] - jumlah maksimal attachment per pesan (default: 10)
+ * @param {number} [limits.maxConversationMembers] - jumlah maksimal member percakapan (default: 10)
+ * @returns {{ [event: string]: Object }}
+ */
+function createEventSchemas(limits = {}) {
+  const {
+    maxTextLength = DEFAULT_MAX_TEXT_LENGTH,
+    maxMetaSize = DEFAULT_MAX_META_SIZE,
+    maxAttachments = DEFAULT_MAX_ATTACHMENTS,
+    maxConversationMembers = DEFAULT_MAX_CONVERSATION_MEMBERS
+  } = limits;
+
+  const id = string(128);
+  const room = string(100);
+  const optionalRoom = nullable(room);
+  const text = string(maxTextLength);
+  const meta = { maxBytes: maxMetaSize };
+  const reason = nullable(string(500, 0));
+  const duration = nullable({ type: "integer", minimum: 0 });
+  const messageRef = object({ messageId: id }, ["messageId"]);
+  const roomMember = object({ room, userId: id }, ["room", "userId"]);
+  const page = { before: id, after: id, limit: { type: "integer", minimum: 1, maximum: 100 } };
+  const attachments = { type: "array", items: id, minItems: 1, maxItems: maxAttachments };
+  // Minimal salah satu field harus ada
+  const anyRequired = (...names) => ({ anyOf: names.map((name) => ({ required: [name] })) });
+  // Pesan butuh teks, attachment, atau keduanya
+  const content = anyRequired("text", "attachments");
+
+  return {
+    "user:join": optionalObject({
+      id: { type: ["string", "number"], minLength: 1, maxLength: 128 },
+      name: string(100),
+      email: string(254),
+      status: string(50),
+      avatar: string(2048),
+      meta
+    }),
+    join: room,
+    leave: room,
+    message: {
+      ...object({ room: optionalRoom, text, meta, attachments, replyTo: id, clientMessageId: id }),
+      ...content
+    },
+    "typing:start": object({ room: optionalRoom }),
+    "typing:stop": object({ room: optionalRoom }),
+    "message:delivered": messageRef,
+    "message:read": object({ messageId: id, room: optionalRoom, withUserId: id, conversationId: id }, ["messageId"]),
+    "user:status": string(50),
+    // Tujuan: conversationId, atau toUserId untuk percakapan 1:1 (dibuat otomatis)
+    "message:private": {
+      ...object({ conversationId: id, toUserId: id, text, meta, attachments, clientMessageId: id }),
+      allOf: [content, anyRequired("conversationId", "toUserId")]
+    },
+    "message:edit": object({ messageId: id, text, meta }, ["messageId", "text"]),
+    "message:delete": messageRef,
+    "message:react": object({ messageId: id, emoji: string(32) }, ["messageId", "emoji"]),
+    "message:unreact": object({ messageId: id, emoji: string(32) }, ["messageId", "emoji"]),
+    "message:edits": messageRef,
+    "attachment:url": object({ attachmentId: id }, ["attachmentId"]),
+    "thread:fetch": object({ messageId: id, ...page }, ["messageId"]),
+    "thread:follow": messageRef,
+    "thread:unfollow": messageRef,
+    "history:fetch": optionalObject({ room: optionalRoom, withUserId: id, conversationId: id, ...page }),
+    "conversation:open": object({
+      userIds: { type: "array", items: id, minItems: 1, maxItems: maxConversationMembers },
+      name: string(100)
+    }, ["userIds"]),
+    "conversation:list": optionalObject({ limit: { type: "integer", minimum: 1, maximum: 100 } }),
+    "conversation:history": object({ conversationId: id, ...page }, ["conversationId"]),
+    "room:create": object({
+      roomName: room,
+      isPrivate: { type: "boolean" },
+      description: string(500, 0),
+      members: { type: "array", items: id, maxItems: 500 }
+    }, ["roomName"]),
+    "room:invite": roomMember,
+    "room:kick": roomMember,
+    "room:transfer": roomMember,
+    "room:role": object({
+      room,
+      userId: id,
+      role: { type: "string", enum: ["moderator", "member", "read-only"] }
+    }, ["room", "userId", "role"]),
+    "moderation:mute": object({ userId: id, room: optionalRoom, duration, reason }, ["userId"]),
+    "moderation:unmute": object({ userId: id, room: optionalRoom }, ["userId"]),
+    "moderation:kick": object({ userId: id, room: optionalRoom, reason }, ["userId"]),
+    "moderation:ban": object({ userId: id, ip: string(64), room: optionalRoom, duration, reason }),
+    "moderation:unban": object({ userId: id, ip: string(64), room: optionalRoom }),
+    "moderation:slowmode": object({
+      room,
+      interval: { type: "integer", minimum: 0, maximum: 86400000 }
+    }, ["room", "interval"]),
+    "moderation:state": optionalObject({ room: optionalRoom }),
+    "moderation:audit": optionalObject({
+      room: optionalRoom,
+      limit: { type: "integer", minimum: 1, maximum: 1000 }
+    })
+  };
+}
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return [].concat(type).some((expected) =>
+    expected === actual || (expected === "number" && actual === "integer"));
+};
+
+/**
+ * Validasi payload terhadap schema.
+ * @param {Object} schema
+ * @param {any} value
+ * @param {string} [path] - path field untuk pesan error
+ * @returns {{ path: string, message: string } | null} null kalau valid
+ */
+function validatePayload(schema, value, path = "") {
+  const fail = (message) => ({ path, message: path ? `${path} ${message}` : `Payload ${message}` });
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    return fail(`must be ${[].concat(schema.type).join(" or ")}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return fail("is too short");
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (schema.maxBytes !== undefined && value !== undefined) {
+    let size;
+    try {
+      size = new TextEncoder().encode(JSON.stringify(value) ?? "").length;
+    } catch (error) {
+      return fail("must be serializable to JSON");
+    }
+    if (size > schema.maxBytes) return fail(`must be at most ${schema.maxBytes} bytes`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      for (const [index, item] of value.entries()) {
+        const error = validatePayload(schema.items, item, `${path}[${index}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) return { path: name, message: `${name} is required` };
+    }
+  }
+
+  if (typeOf(value) === "object" && schema.properties) {
+    for (const [name, fieldValue] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${name}` : name;
+      const fieldSchema = schema.properties[name];
+
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) {
+          return { path: fieldPath, message: `${fieldPath} is not allowed` };
+        }
+        continue;
+      }
+      if (fieldValue === undefined) continue;
+
+      const error = validatePayload(fieldSchema, fieldValue, fieldPath);
+      if (error) return error;
+    }
+  }
+
+  // Valid kalau cocok dengan salah satu schema; kalau tidak, laporkan error schema pertama
+  if (schema.anyOf) {
+    const errors = schema.anyOf.map((option) => validatePayload(option, value, path));
+    if (errors.every(Boolean)) return errors[0];
+  }
+
+  // Harus cocok dengan semua schema
+  for (const option of schema.allOf || []) {
+    const error = validatePayload(option, value, path);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+// Schema dengan batas default
+const eventSchemas = createEventSchemas();
+
+module.exports = { createEventSchemas, eventSchemas, validatePayload };
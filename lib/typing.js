@@ -0,0 +1,170 @@
+// lib/typing.js
+const { createLogger } = require("./logger");
+
+const roomKey = (room) => room || "global";
+
+/**
+ * Typing store berbasis Redis, supaya getTypingUsers(room) sama di semua node.
+ * Entry disimpan di hash per room dengan `expiresAt`, entry kedaluwarsa diabaikan saat dibaca.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ */
+function createRedisTypingStore(client, options = {}) {
+  const { prefix = "chat" } = options;
+  const key = (room) => `${prefix}:typing:${roomKey(room)}`;
+
+  return {
+    async set(data, ttl) {
+      await client
+        .multi()
+        .hSet(key(data.room), data.userId, JSON.stringify({ ...data, expiresAt: Date.now() + ttl }))
+        .pExpire(key(data.room), ttl)
+        .exec();
+    },
+
+    async remove(room, userId) {
+      await client.hDel(key(room), userId);
+    },
+
+    async list(room) {
+      const now = Date.now();
+      const entries = await client.hVals(key(room));
+      return entries
+        .map((raw) => JSON.parse(raw))
+        .filter((entry) => entry.expiresAt > now)
+        .map(({ expiresAt, ...data }) => data);
+    }
+  };
+}
+
+/**
+ * Typing store di memori proses ini (backend "memory"), entry kedaluwarsa diabaikan saat dibaca.
+ */
+function createMemoryTypingStore() {
+  // room -> Map userId -> entry
+  const rooms = new Map();
+
+  return {
+    async set(data, ttl) {
+      const entries = rooms.get(roomKey(data.room)) || new Map();
+      entries.set(data.userId, { ...data, expiresAt: Date.now() + ttl });
+      rooms.set(roomKey(data.room), entries);
+    },
+
+    async remove(room, userId) {
+      const entries = rooms.get(roomKey(room));
+      entries?.delete(userId);
+      if (entries?.size === 0) rooms.delete(roomKey(room));
+    },
+
+    async list(room) {
+      const now = Date.now();
+      return [...(rooms.get(roomKey(room))?.values() || [])]
+        .filter((entry) => entry.expiresAt > now)
+        .map(({ expiresAt, ...data }) => data);
+    }
+  };
+}
+
+/**
+ * Tracker typing per user per room di node ini.
+ * Setiap typing:start me-reset timer; tanpa refresh selama `timeout` ms
+ * entry dihapus dan `onExpire` dipanggil supaya server meng-emit typing:stop.
+ * @param {Object} options
+ * @param {Object} options.store - typing store (lihat createRedisTypingStore)
+ * @param {number} [options.timeout] - auto-expire dalam ms (default: 3000)
+ * @param {number} [options.throttle] - jarak minimal antar broadcast typing:start yang sama, dalam ms (default: 1000)
+ * @param {(data: Object) => void} [options.onExpire] - dipanggil saat typing kedaluwarsa
+ * @param {Object} [options.logger] - logger dari createLogger (default: logger JSON bawaan)
+ */
+function createTypingTracker(options) {
+  const { store, timeout = 3000, throttle = 1000, onExpire, logger = createLogger() } = options;
+
+  // key room+user -> { data, sockets, timer, lastEmit }
+  const entries = new Map();
+  const entryKey = (room, userId) => `${roomKey(room)}\u0000${userId}`;
+
+  const persist = (promise, data) => {
+    promise.catch((error) => logger.error("Failed to update typing state", {
+      userId: data.userId,
+      room: data.room,
+      error: error.message
+    }));
+  };
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    entries.delete(key);
+    persist(store.remove(entry.data.room, entry.data.userId), entry.data);
+    return entry.data;
+  };
+
+  // Lepas socket dari entry yang cocok, entry tanpa socket tersisa dianggap berhenti typing
+  const releaseSocket = (socketId, filter) => {
+    const stopped = [];
+    for (const [key, entry] of entries) {
+      if (!entry.sockets.has(socketId) || !filter(entry.data)) continue;
+      entry.sockets.delete(socketId);
+      if (entry.sockets.size === 0) stopped.push(remove(key));
+    }
+    return stopped;
+  };
+
+  return {
+    /**
+     * Catat typing:start. Mengembalikan TypingData kalau perlu di-broadcast,
+     * atau null kalau masih dalam jendela throttle.
+     */
+    start({ socketId, userId, userName, room }) {
+      const key = entryKey(room, userId);
+      const now = Date.now();
+
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { data: { userId, userName, room, ts: now }, sockets: new Set(), lastEmit: 0 };
+        entries.set(key, entry);
+      }
+
+      entry.sockets.add(socketId);
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => {
+        const data = remove(key);
+        if (data) onExpire?.(data);
+      }, timeout);
+      entry.timer.unref?.();
+
+      persist(store.set(entry.data, timeout), entry.data);
+
+      if (now - entry.lastEmit < throttle) return null;
+      entry.lastEmit = now;
+      entry.data.ts = now;
+      return entry.data;
+    },
+
+    // Catat typing:stop, mengembalikan TypingData kalau user memang sedang typing
+    stop({ userId, room }) {
+      return remove(entryKey(room, userId));
+    },
+
+    // Socket keluar dari room
+    leave(socketId, room) {
+      return releaseSocket(socketId, (data) => roomKey(data.room) === roomKey(room));
+    },
+
+    // Socket disconnect
+    disconnect(socketId) {
+      return releaseSocket(socketId, () => true);
+    },
+
+    // User yang sedang typing di room (seluruh cluster)
+    list(room) {
+      return store.list(room);
+    }
+  };
+}
+
+module.exports = { createRedisTypingStore, createMemoryTypingStore, createTypingTracker };
@@ -0,0 +1,257 @@
+// lib/webhooks.js
+const crypto = require("crypto");
+const { createId } = require("./ids");
+const { createLogger } = require("./logger");
+
+/**
+ * Webhook keluar: event chat dikirim sebagai POST JSON ke URL yang didaftarkan.
+ * Subscription: { id, url, events, secret, description, createdBy, createdAt }
+ *   events berisi nama event (lihat WEBHOOK_EVENTS) atau "*" untuk semua event.
+ * Payload: { id, event, ts, data }, ditandatangani HMAC-SHA256 dari `${timestamp}.${body}`.
+ * Setiap implementasi store harus menyediakan method async berikut:
+ *   create(subscription) / remove(id)  -> void / boolean
+ *   get(id)                            -> Subscription | null
+ *   list()                             -> Subscription[]  (urut dari yang paling lama)
+ *   deadLetter(entry)                  -> void  (pengiriman yang gagal permanen)
+ *   deadLetters({ limit })             -> Entry[]  (terbaru dulu)
+ */
+
+const WEBHOOK_EVENTS = [
+  "message.created",
+  "message.edited",
+  "message.deleted",
+  "user.joined",
+  "user.left",
+  "room.created",
+  "moderation.action"
+];
+
+const MAX_DEAD_LETTERS = 1000;
+
+/**
+ * Webhook store berbasis Redis: hash subscription dan list dead-letter.
+ * @param {any} client - Redis client (node-redis v4), biasanya pubClient
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - prefix key Redis (default: "chat")
+ * @param {number} [options.maxDeadLetters] - panjang maksimal list dead-letter (default: 1000)
+ */
+function createRedisWebhookStore(client, options = {}) {
+  const { prefix = "chat", maxDeadLetters = MAX_DEAD_LETTERS } = options;
+  const subscriptionsKey = `${prefix}:webhooks`;
+  const deadLetterKey = `${prefix}:webhooks:dead`;
+
+  return {
+    async create(subscription) {
+      await client.hSet(subscriptionsKey, subscription.id, JSON.stringify(subscription));
+    },
+
+    async remove(id) {
+      return (await client.hDel(subscriptionsKey, id)) > 0;
+    },
+
+    async get(id) {
+      const raw = await client.hGet(subscriptionsKey, id);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async list() {
+      const entries = await client.hGetAll(subscriptionsKey);
+      return Object.values(entries)
+        .map((raw) => JSON.parse(raw))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async deadLetter(entry) {
+      await client.multi()
+        .lPush(deadLetterKey, JSON.stringify(entry))
+        .lTrim(deadLetterKey, 0, maxDeadLetters - 1)
+        .exec();
+    },
+
+    async deadLetters({ limit = 50 } = {}) {
+      const raws = await client.lRange(deadLetterKey, 0, limit - 1);
+      return raws.map((raw) => JSON.parse(raw));
+    }
+  };
+}
+
+/**
+ * Webhook store di memori proses ini (backend "memory").
+ * @param {Object} [options]
+ * @param {number} [options.maxDeadLetters] - panjang maksimal list dead-letter (default: 1000)
+ */
+function createMemoryWebhookStore(options = {}) {
+  const { maxDeadLetters = MAX_DEAD_LETTERS } = options;
+  const subscriptions = new Map();
+  const deadLetters = [];
+
+  return {
+    async create(subscription) {
+      subscriptions.set(subscription.id, structuredClone(subscription));
+    },
+
+    async remove(id) {
+      return subscriptions.delete(id);
+    },
+
+    async get(id) {
+      const subscription = subscriptions.get(id);
+      return subscription ? structuredClone(subscription) : null;
+    },
+
+    async list() {
+      return [...subscriptions.values()]
+        .map((subscription) => structuredClone(subscription))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async deadLetter(entry) {
+      deadLetters.unshift(structuredClone(entry));
+      deadLetters.splice(maxDeadLetters);
+    },
+
+    async deadLetters({ limit = 50 } = {}) {
+      return structuredClone(deadLetters.slice(0, limit));
+    }
+  };
+}
+
+/**
+ * Signature header `X-Chat-Signature`: "sha256=<hex>" dari HMAC `${timestamp}.${body}`.
+ * Penerima menghitung ulang dengan secret subscription dan header `X-Chat-Timestamp`.
+ * @param {string} secret
+ * @param {number|string} timestamp - ms epoch
+ * @param {string} body - body JSON mentah
+ * @returns {string}
+ */
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+const subscribes = (subscription, event) =>
+  subscription.events.includes("*") || subscription.events.includes(event);
+
+// Error jaringan, timeout, 408, 429 dan 5xx dicoba lagi; status lain dianggap gagal permanen
+const isRetryable = (status) => status === undefined || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Pengirim webhook dengan retry exponential backoff (retryDelay * 2^(attempt-1), maksimal
+ * maxRetryDelay). Setelah maxAttempts, atau error yang tidak bisa dicoba lagi, pengiriman
+ * masuk dead-letter. Retry disimpan di memori node yang mengirim.
+ * @param {Object} options
+ * @param {Object} options.store - webhook store
+ * @param {Function} [options.fetch] - implementasi fetch (default: global fetch)
+ * @param {number} [options.maxAttempts] - jumlah percobaan maksimal (default: 5)
+ * @param {number} [options.retryDelay] - jeda retry pertama dalam ms (default: 1000)
+ * @param {number} [options.maxRetryDelay] - jeda retry maksimal dalam ms (default: 60000)
+ * @param {number} [options.timeout] - timeout satu request dalam ms (default: 10000)
+ * @param {Object} [options.logger] - logger dari createLogger (default: logger JSON bawaan)
+ */
+function createWebhookDispatcher(options) {
+  const {
+    store,
+    fetch = globalThis.fetch,
+    maxAttempts = 5,
+    retryDelay = 1000,
+    maxRetryDelay = 60000,
+    timeout = 10000,
+    logger = createLogger()
+  } = options;
+
+  // Satu percobaan kirim: { ok, status, error, duration }
+  const send = async (subscription, payload) => {
+    const body = JSON.stringify(payload);
+    const timestamp = Date.now();
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "realtime-live-chat-webhooks",
+          "X-Chat-Event": payload.event,
+          "X-Chat-Delivery": payload.id,
+          "X-Chat-Timestamp": String(timestamp),
+          "X-Chat-Signature": signWebhook(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeout)
+      });
+      return {
+        ok: response.ok,
+        status: response.status,
+        error: response.ok ? null : `HTTP ${response.status}`,
+        duration: Date.now() - timestamp
+      };
+    } catch (error) {
+      const message = error.name === "TimeoutError" ? `Timed out after ${timeout} ms` : error.message;
+      return { ok: false, status: undefined, error: message, duration: Date.now() - timestamp };
+    }
+  };
+
+  const deliver = async (subscription, payload, attempt = 1) => {
+    const result = await send(subscription, payload);
+    if (result.ok) return;
+
+    if (attempt < maxAttempts && isRetryable(result.status)) {
+      const delay = Math.min(retryDelay * 2 ** (attempt - 1), maxRetryDelay);
+      setTimeout(() => deliver(subscription, payload, attempt + 1), delay).unref();
+      return;
+    }
+
+    try {
+      await store.deadLetter({
+        id: payload.id,
+        webhookId: subscription.id,
+        url: subscription.url,
+        event: payload.event,
+        payload,
+        attempts: attempt,
+        status: result.status ?? null,
+        error: result.error,
+        failedAt: Date.now()
+      });
+    } catch (error) {
+      logger.error("Failed to store webhook dead letter", {
+        webhookId: subscription.id,
+        deliveryId: payload.id,
+        error: error.message
+      });
+    }
+  };
+
+  return {
+    /**
+     * Kirim event ke semua subscription yang berlangganan. Promise selesai setelah percobaan
+     * pertama (retry tetap berjalan di belakang), supaya close() bisa menunggunya.
+     * @param {string} event
+     * @param {Object} data
+     */
+    async dispatch(event, data) {
+      const subscriptions = (await store.list()).filter((subscription) => subscribes(subscription, event));
+      await Promise.all(subscriptions.map((subscription) =>
+        deliver(subscription, { id: createId(), event, ts: Date.now(), data })));
+    },
+
+    /**
+     * Kirim event `webhook.test` sekali (tanpa retry dan dead-letter).
+     * @returns {Promise<{ ok: boolean, status?: number, error: string|null, duration: number }>}
+     */
+    test(subscription) {
+      return send(subscription, {
+        id: createId(),
+        event: "webhook.test",
+        ts: Date.now(),
+        data: { webhookId: subscription.id }
+      });
+    }
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createRedisWebhookStore,
+  createMemoryWebhookStore,
+  createWebhookDispatcher,
+  signWebhook
+};